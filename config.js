@@ -1,4 +1,6 @@
 // Configuration management
+const path = require('path');
+
 module.exports = {
   // Server configuration
   server: {
@@ -15,7 +17,46 @@ module.exports = {
   // JWT configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-    expiresIn: '7d'
+    expiresIn: '15m', // Access token lifetime
+    refreshTokenTtlDays: 30, // Sliding lifetime of a session's refresh token
+    twoFactorChallengeExpiresIn: '5m', // Time to enter the 2FA code after a password login
+    impersonationExpiresIn: '30m' // Lifetime of an admin impersonation token (not refreshable)
+  },
+
+  // Frontend app (used to build links in emails)
+  app: {
+    url: process.env.APP_URL || 'http://localhost:19007'
+  },
+
+  // Mail configuration
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'outbox', // outbox, console
+    from: process.env.MAIL_FROM || 'Beven <no-reply@beven.app>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox')
+  },
+
+  // One-time token lifetimes (minutes)
+  tokens: {
+    passwordResetTtlMinutes: 60,
+    emailVerificationTtlMinutes: 24 * 60
+  },
+
+  // What unverified users may do:
+  // none     - no restrictions
+  // limited  - can log in, but are not auto-linked as split participants or found in user search
+  // required - cannot log in until verified
+  emailVerification: {
+    policy: process.env.EMAIL_VERIFICATION_POLICY || 'limited'
+  },
+
+  // Brute-force protection for login
+  loginProtection: {
+    windowSeconds: 15 * 60, // Failures are counted within this window
+    maxAccountFailures: 5, // Per email before the account is locked
+    maxIpFailures: 20, // Per IP (across accounts) before the IP is locked
+    lockoutSeconds: 15 * 60,
+    baseDelayMs: 250, // Delay after the first failure, doubled for each further one
+    maxDelayMs: 4000
   },
 
   // CORS configuration
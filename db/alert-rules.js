@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+const budgetProcedures = require('./budgets');
+const budgetMemberProcedures = require('./budget-members');
+const notificationProcedures = require('./notifications');
+const { subtreeIds } = require('../services/category-tree');
+
+const prisma = new PrismaClient();
+
+// Thresholds (percent) used for the budget and each category without alert rules of their own
+const DEFAULT_THRESHOLDS = {
+  category: [80, 100],
+  budget: [100]
+};
+
+// Thresholds reached by `spent` out of `limit` (nothing is reached without a limit)
+function reachedThresholds(thresholds, spent, limit) {
+  const total = parseFloat(limit);
+  if (!(total > 0)) return [];
+
+  return thresholds.filter(threshold => spent >= total * threshold / 100);
+}
+
+// Thresholds for a category (categoryId) or the whole budget (null): the rules set for that
+// scope when there are any, the defaults otherwise
+function thresholdsFor(rules, categoryId) {
+  const own = rules
+    .filter(rule => rule.categoryId === categoryId)
+    .map(rule => rule.thresholdPercent);
+
+  if (own.length > 0) return own;
+
+  return categoryId ? DEFAULT_THRESHOLDS.category : DEFAULT_THRESHOLDS.budget;
+}
+
+// Budget-wide thresholds reached by `spent` out of the budget `amount`. Without budget-wide rules
+// the default alert waits until the budget is overspent, not just fully spent
+function reachedBudgetThresholds(rules, spent, amount) {
+  if (rules.some(rule => rule.categoryId === null)) {
+    return reachedThresholds(thresholdsFor(rules, null), spent, amount);
+  }
+
+  const total = parseFloat(amount);
+  if (!(total > 0)) return [];
+
+  // Compared in cents so rounding noise in the sum does not count as overspending
+  return Math.round(spent * 100) > Math.round(total * 100) ? DEFAULT_THRESHOLDS.budget : [];
+}
+
+// Alert rule stored procedures
+const alertRuleProcedures = {
+  // Rules of a budget
+  async getAll(budgetId) {
+    return await prisma.alertRule.findMany({
+      where: { budgetId: parseInt(budgetId) },
+      include: {
+        category: { select: { id: true, name: true } }
+      },
+      orderBy: [{ categoryId: 'asc' }, { thresholdPercent: 'asc' }]
+    });
+  },
+
+  // Get a rule of a budget
+  async getById(id, budgetId) {
+    return await prisma.alertRule.findFirst({
+      where: {
+        id: parseInt(id),
+        budgetId: parseInt(budgetId)
+      }
+    });
+  },
+
+  // Create rule
+  async create(ruleData) {
+    return await prisma.alertRule.create({
+      data: {
+        budgetId: parseInt(ruleData.budgetId),
+        categoryId: ruleData.categoryId ? parseInt(ruleData.categoryId) : null,
+        thresholdPercent: parseInt(ruleData.thresholdPercent),
+        createdById: parseInt(ruleData.createdById)
+      },
+      include: {
+        category: { select: { id: true, name: true } }
+      }
+    });
+  },
+
+  // Delete rule
+  async delete(id, budgetId) {
+    return await prisma.alertRule.delete({
+      where: {
+        id: parseInt(id),
+        budgetId: parseInt(budgetId)
+      }
+    });
+  },
+
+  // Check a category, the parents above it (their totals include its spending) and its budget
+  // against the alert rules after its spending in `period` changed, and notify everyone with
+  // access to the budget. Each threshold notifies once per period.
+  async evaluate(category, budget, period) {
+    const [rules, categories] = await Promise.all([
+      prisma.alertRule.findMany({
+        where: { budgetId: budget.id }
+      }),
+      prisma.category.findMany({
+        where: { budgetId: budget.id },
+        select: { id: true, name: true, parentId: true, allocatedAmount: true }
+      })
+    ]);
+
+    const spending = await budgetProcedures.getPeriodSpending(budget.id, period);
+    const budgetSpent = Object.values(spending).reduce((sum, amount) => sum + amount, 0);
+    const periodKey = period.startDate.toISOString().slice(0, 10);
+
+    const subtrees = subtreeIds(categories);
+    const byId = new Map(categories.map(entry => [entry.id, entry]));
+    const affected = [];
+    for (let current = byId.get(category.id); current && !affected.includes(current); current = byId.get(current.parentId)) {
+      affected.push(current);
+    }
+
+    const categoryAlerts = affected.flatMap(current => {
+      const members = subtrees.get(current.id);
+      const spent = members.reduce((sum, id) => sum + (spending[id] || 0), 0);
+      const allocated = members.reduce((sum, id) => sum + parseFloat(byId.get(id).allocatedAmount), 0);
+
+      return reachedThresholds(thresholdsFor(rules, current.id), spent, allocated)
+        .map(threshold => ({
+          dedupeKey: `budget-alert:category:${current.id}:${threshold}:${periodKey}`,
+          title: `${budget.name}: ${current.name} reached ${threshold}%`,
+          message: `${spent.toFixed(2)} of ${allocated.toFixed(2)} ` +
+            `allocated to ${current.name} has been spent this period.`,
+          data: { budgetId: budget.id, categoryId: current.id, thresholdPercent: threshold, spent }
+        }));
+    });
+
+    const alerts = [
+      ...categoryAlerts,
+      ...reachedBudgetThresholds(rules, budgetSpent, budget.amount)
+        .map(threshold => ({
+          dedupeKey: `budget-alert:budget:${budget.id}:${threshold}:${periodKey}`,
+          title: `${budget.name} reached ${threshold}% of its amount`,
+          message: `${budgetSpent.toFixed(2)} of ${parseFloat(budget.amount).toFixed(2)} has been spent this period.`,
+          data: { budgetId: budget.id, thresholdPercent: threshold, spent: budgetSpent }
+        }))
+    ];
+
+    if (alerts.length === 0) return 0;
+
+    const userIds = await budgetMemberProcedures.getUserIds(budget.id);
+
+    return await notificationProcedures.createMany(
+      userIds.flatMap(userId => alerts.map(alert => ({
+        userId,
+        type: 'budget_alert',
+        ...alert,
+        data: { ...alert.data, periodStart: period.startDate }
+      })))
+    );
+  }
+};
+
+alertRuleProcedures.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+alertRuleProcedures.reachedThresholds = reachedThresholds;
+alertRuleProcedures.thresholdsFor = thresholdsFor;
+alertRuleProcedures.reachedBudgetThresholds = reachedBudgetThresholds;
+
+module.exports = alertRuleProcedures;
@@ -0,0 +1,152 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Never copied into before/after snapshots
+const REDACTED_FIELDS = ['password', 'tokenHash', 'refreshTokenHash', 'secret', 'codeHash'];
+
+// Always change on update, so they are left out of diffs
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Plain column values of a record: relations are dropped, Dates and Decimals become strings
+function snapshot(record) {
+  if (!record) return null;
+
+  const plain = JSON.parse(JSON.stringify(record));
+  return Object.fromEntries(
+    Object.entries(plain).filter(([key, value]) =>
+      !REDACTED_FIELDS.includes(key) && (value === null || typeof value !== 'object')
+    )
+  );
+}
+
+// Before/after values of the fields that changed (full snapshot on create or delete)
+function diff(before, after) {
+  const beforeValues = snapshot(before);
+  const afterValues = snapshot(after);
+
+  if (!beforeValues || !afterValues) {
+    return { before: beforeValues, after: afterValues };
+  }
+
+  const changed = Object.keys({ ...beforeValues, ...afterValues })
+    .filter(key => !IGNORED_FIELDS.includes(key) && beforeValues[key] !== afterValues[key]);
+
+  return {
+    before: Object.fromEntries(changed.map(key => [key, beforeValues[key] ?? null])),
+    after: Object.fromEntries(changed.map(key => [key, afterValues[key] ?? null]))
+  };
+}
+
+// Build a where clause from query filters
+function buildWhere(filters) {
+  const where = {};
+
+  if (filters.actorId) where.actorId = parseInt(filters.actorId);
+  if (filters.entityType) where.entityType = filters.entityType;
+  if (filters.entityId) where.entityId = parseInt(filters.entityId);
+  if (filters.action) where.action = { startsWith: filters.action };
+  if (filters.requestId) where.requestId = filters.requestId;
+
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt.gte = new Date(filters.from);
+    if (filters.to) where.createdAt.lte = new Date(filters.to);
+  }
+
+  return where;
+}
+
+// Audit log stored procedures (append-only: no update or delete)
+const auditLogProcedures = {
+  // Record an action
+  async record(entry) {
+    return await prisma.auditLog.create({
+      data: {
+        actorId: entry.actorId ? parseInt(entry.actorId) : null,
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId ? parseInt(entry.entityId) : null,
+        before: entry.before || undefined,
+        after: entry.after || undefined,
+        metadata: entry.metadata || undefined,
+        requestId: entry.requestId || null,
+        ipAddress: entry.ipAddress || null
+      }
+    });
+  },
+
+  // Record an action taken in an HTTP request (actor, request ID and IP come from the request).
+  // Under impersonation the admin is the actor and the impersonated user is noted in metadata.
+  async recordFromRequest(request, entry) {
+    const actor = request.impersonator || request.user;
+    const metadata = request.impersonator
+      ? { ...entry.metadata, impersonatedUserId: request.user.id }
+      : entry.metadata;
+
+    return await this.record({
+      ...entry,
+      metadata,
+      actorId: actor ? actor.id : null,
+      requestId: request.id,
+      ipAddress: request.ip
+    });
+  },
+
+  // Record a create/update/delete with the diff between the old and new record
+  // (pass before: null for creates and after: null for deletes)
+  async recordChange(request, { before = null, after = null, ...entry }) {
+    return await this.recordFromRequest(request, {
+      ...entry,
+      entityId: entry.entityId || (after || before).id,
+      ...diff(before, after)
+    });
+  },
+
+  // Paginated audit entries matching filters (admin view)
+  async search(filters = {}, scope = null) {
+    const { limit = 50, offset = 0 } = filters;
+    const where = scope ? { AND: [buildWhere(filters), scope] } : buildWhere(filters);
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: {
+          actor: {
+            select: { id: true, name: true, email: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(limit, 100), // Cap at 100
+        skip: offset
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + entries.length < total
+      }
+    };
+  },
+
+  // A user's own history: what they did, what was done to their account and
+  // what an admin did while impersonating them
+  async getForUser(userId, filters = {}) {
+    return await this.search(filters, {
+      OR: [
+        { actorId: parseInt(userId) },
+        { entityType: 'user', entityId: parseInt(userId) },
+        { metadata: { path: ['impersonatedUserId'], equals: parseInt(userId) } }
+      ]
+    });
+  }
+};
+
+auditLogProcedures.diff = diff;
+
+module.exports = auditLogProcedures;
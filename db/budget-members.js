@@ -0,0 +1,291 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Budget roles, most privileged first
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles that may change categories and transactions (owners also manage the budget and its members)
+const EDIT_ROLES = ['owner', 'editor'];
+
+// Budget role granted by each household role on the household's budgets
+const HOUSEHOLD_BUDGET_ROLES = { owner: 'owner', member: 'editor' };
+
+const userSelect = { id: true, name: true, email: true };
+
+// Accepted membership of a user (budget or household)
+function acceptedBy(userId) {
+  return { userId: parseInt(userId), acceptedAt: { not: null } };
+}
+
+// Where clause matching budgets the user can access with one of the given roles.
+// Access comes from creating the budget (always an owner), an accepted budget membership or
+// membership of the household that owns the budget. With a householdId, only that household's
+// budgets match, plus budgets shared with the user directly.
+function accessWhere(userId, roles = ROLES, householdId = null) {
+  const conditions = [
+    {
+      members: {
+        some: { ...acceptedBy(userId), role: { in: roles } }
+      }
+    }
+  ];
+
+  if (roles.includes('owner')) {
+    conditions.unshift({ userId: parseInt(userId) });
+  }
+
+  const householdRoles = Object.keys(HOUSEHOLD_BUDGET_ROLES)
+    .filter(householdRole => roles.includes(HOUSEHOLD_BUDGET_ROLES[householdRole]));
+
+  if (householdRoles.length > 0) {
+    conditions.push({
+      household: {
+        members: {
+          some: { ...acceptedBy(userId), role: { in: householdRoles } }
+        }
+      }
+    });
+  }
+
+  if (!householdId) {
+    return { OR: conditions };
+  }
+
+  return {
+    AND: [
+      { OR: conditions },
+      {
+        OR: [
+          { householdId: parseInt(householdId) },
+          { members: { some: acceptedBy(userId) } }
+        ]
+      }
+    ]
+  };
+}
+
+// Select/include for the user's memberships, as needed by resolveRole
+function membershipSelect(userId) {
+  return {
+    members: {
+      where: acceptedBy(userId),
+      select: { role: true }
+    },
+    household: {
+      select: {
+        members: {
+          where: acceptedBy(userId),
+          select: { role: true }
+        }
+      }
+    }
+  };
+}
+
+// Best role a user has on a budget loaded with membershipSelect, or null
+function resolveRole(budget, userId) {
+  const granted = budget.members.map(member => member.role);
+
+  if (budget.userId === parseInt(userId)) {
+    granted.push('owner');
+  }
+
+  if (budget.household) {
+    budget.household.members.forEach(member => granted.push(HOUSEHOLD_BUDGET_ROLES[member.role]));
+  }
+
+  return ROLES.find(role => granted.includes(role)) || null;
+}
+
+// Budget member stored procedures
+const budgetMemberProcedures = {
+  // Role of a user on a budget, or null without access. With a householdId, budgets of
+  // other households are only accessible when shared with the user directly.
+  async getRole(budgetId, userId, householdId = null) {
+    if (isNaN(parseInt(budgetId))) return null;
+
+    const budget = await prisma.budget.findUnique({
+      where: { id: parseInt(budgetId) },
+      select: {
+        userId: true,
+        householdId: true,
+        ...membershipSelect(userId)
+      }
+    });
+
+    if (!budget) return null;
+
+    if (householdId && budget.householdId !== parseInt(householdId) && budget.members.length === 0) {
+      return null;
+    }
+
+    return resolveRole(budget, userId);
+  },
+
+  // Creator and members (including pending invitations) of a budget
+  async getAll(budgetId) {
+    const budget = await prisma.budget.findUnique({
+      where: { id: parseInt(budgetId) },
+      select: {
+        user: { select: userSelect },
+        members: {
+          include: {
+            user: { select: userSelect },
+            invitedBy: { select: userSelect }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!budget) return null;
+
+    return { creator: budget.user, members: budget.members };
+  },
+
+  // IDs of everyone with access to a budget (used for cache invalidation)
+  async getUserIds(budgetId) {
+    const acceptedOnly = {
+      where: { acceptedAt: { not: null } },
+      select: { userId: true }
+    };
+
+    const budget = await prisma.budget.findUnique({
+      where: { id: parseInt(budgetId) },
+      select: {
+        userId: true,
+        members: acceptedOnly,
+        household: {
+          select: { members: acceptedOnly }
+        }
+      }
+    });
+
+    if (!budget) return [];
+
+    const userIds = [
+      budget.userId,
+      ...budget.members.map(member => member.userId),
+      ...(budget.household ? budget.household.members.map(member => member.userId) : [])
+    ];
+
+    return [...new Set(userIds)];
+  },
+
+  // Get a membership of a budget
+  async getById(id, budgetId) {
+    return await prisma.budgetMember.findFirst({
+      where: {
+        id: parseInt(id),
+        budgetId: parseInt(budgetId)
+      },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Invite a user (pending until they accept)
+  async invite(memberData) {
+    return await prisma.budgetMember.create({
+      data: {
+        budgetId: parseInt(memberData.budgetId),
+        userId: parseInt(memberData.userId),
+        role: memberData.role,
+        invitedById: parseInt(memberData.invitedById)
+      },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Pending invitations for a user
+  async getInvitationsForUser(userId) {
+    return await prisma.budgetMember.findMany({
+      where: {
+        userId: parseInt(userId),
+        acceptedAt: null
+      },
+      include: {
+        budget: {
+          select: { id: true, name: true, period: true }
+        },
+        invitedBy: { select: userSelect }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  },
+
+  // Accept an invitation, returns the membership or null if there is no such pending invitation
+  async acceptInvitation(id, userId) {
+    const { count } = await prisma.budgetMember.updateMany({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId),
+        acceptedAt: null
+      },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    return await prisma.budgetMember.findUnique({
+      where: { id: parseInt(id) },
+      include: {
+        budget: {
+          select: { id: true, name: true, period: true }
+        }
+      }
+    });
+  },
+
+  // Decline an invitation, returns the deleted invitation or null
+  async declineInvitation(id, userId) {
+    const invitation = await prisma.budgetMember.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId),
+        acceptedAt: null
+      }
+    });
+
+    if (!invitation) return null;
+
+    await prisma.budgetMember.delete({ where: { id: invitation.id } });
+    return invitation;
+  },
+
+  // Change a member's role
+  async updateRole(id, budgetId, role) {
+    return await prisma.budgetMember.update({
+      where: {
+        id: parseInt(id),
+        budgetId: parseInt(budgetId)
+      },
+      data: { role },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Remove a member or withdraw an invitation
+  async delete(id, budgetId) {
+    return await prisma.budgetMember.delete({
+      where: {
+        id: parseInt(id),
+        budgetId: parseInt(budgetId)
+      }
+    });
+  }
+};
+
+budgetMemberProcedures.ROLES = ROLES;
+budgetMemberProcedures.EDIT_ROLES = EDIT_ROLES;
+budgetMemberProcedures.accessWhere = accessWhere;
+budgetMemberProcedures.membershipSelect = membershipSelect;
+budgetMemberProcedures.resolveRole = resolveRole;
+
+module.exports = budgetMemberProcedures;
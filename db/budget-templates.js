@@ -0,0 +1,157 @@
+const { PrismaClient } = require('@prisma/client');
+const { parentNames } = require('../services/category-tree');
+
+const prisma = new PrismaClient();
+
+// Starter templates available to everyone. Their IDs are strings so they never clash with saved templates.
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'fifty-thirty-twenty',
+    name: '50/30/20',
+    description: 'Half for needs, 30% for wants and 20% for savings',
+    amount: 3000,
+    period: 'monthly',
+    categories: [
+      { name: 'Needs', allocatedAmount: 1500, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Wants', allocatedAmount: 900, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Savings', allocatedAmount: 600, rolloverPolicy: 'surplus', rolloverCap: null }
+    ]
+  },
+  {
+    id: 'monthly-essentials',
+    name: 'Monthly essentials',
+    description: 'The usual fixed and day-to-day household costs',
+    amount: 2000,
+    period: 'monthly',
+    categories: [
+      { name: 'Housing', allocatedAmount: 900, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Groceries', allocatedAmount: 400, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Transportation', allocatedAmount: 200, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Utilities', allocatedAmount: 200, rolloverPolicy: 'surplus_and_deficit', rolloverCap: null },
+      { name: 'Health', allocatedAmount: 100, rolloverPolicy: 'surplus', rolloverCap: null },
+      { name: 'Other', allocatedAmount: 200, rolloverPolicy: 'none', rolloverCap: null }
+    ]
+  },
+  {
+    id: 'weekly-spending',
+    name: 'Weekly spending money',
+    description: 'Day-to-day spending tracked week by week',
+    amount: 300,
+    period: 'weekly',
+    categories: [
+      { name: 'Groceries', allocatedAmount: 150, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Eating out', allocatedAmount: 60, rolloverPolicy: 'surplus', rolloverCap: null },
+      { name: 'Transport', allocatedAmount: 50, rolloverPolicy: 'none', rolloverCap: null },
+      { name: 'Fun', allocatedAmount: 40, rolloverPolicy: 'cap', rolloverCap: 80 }
+    ]
+  }
+].map(template => ({ ...template, builtIn: true }));
+
+// Template category fields copied from a budget's categories
+function categoryLayout(category, parent = null) {
+  return {
+    name: category.name,
+    allocatedAmount: parseFloat(category.allocatedAmount),
+    rolloverPolicy: category.rolloverPolicy || 'none',
+    rolloverCap: category.rolloverCap === null || category.rolloverCap === undefined
+      ? null
+      : parseFloat(category.rolloverCap),
+    parent,
+    libraryCategoryId: category.libraryCategoryId || null
+  };
+}
+
+// Layout of a list of categories; subcategories refer to their parent by name
+function categoriesLayout(categories) {
+  const parents = parentNames(categories);
+  return categories.map((category, index) => categoryLayout(category, parents[index]));
+}
+
+// Scale a template's allocations to a different budget amount (rounded to cents)
+function scaleCategories(template, amount) {
+  const templateAmount = parseFloat(template.amount);
+  const ratio = amount === undefined || templateAmount === 0 ? 1 : parseFloat(amount) / templateAmount;
+
+  return template.categories.map(category => ({
+    ...category,
+    allocatedAmount: Math.round(parseFloat(category.allocatedAmount) * ratio * 100) / 100
+  }));
+}
+
+// Budget template stored procedures
+const budgetTemplateProcedures = {
+  // Built-in templates followed by the user's own
+  async getAll(userId) {
+    const templates = await prisma.budgetTemplate.findMany({
+      where: { userId: parseInt(userId) },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return [...BUILT_IN_TEMPLATES, ...templates.map(template => ({ ...template, builtIn: false }))];
+  },
+
+  // Get a built-in template by key or one of the user's templates by ID
+  async getById(id, userId) {
+    const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === id);
+    if (builtIn) return builtIn;
+
+    if (!/^\d+$/.test(String(id))) return null;
+
+    const template = await prisma.budgetTemplate.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      }
+    });
+
+    return template && { ...template, builtIn: false };
+  },
+
+  // Create template
+  async create(templateData) {
+    return await prisma.budgetTemplate.create({
+      data: {
+        userId: parseInt(templateData.userId),
+        name: templateData.name,
+        description: templateData.description || null,
+        amount: parseFloat(templateData.amount),
+        period: templateData.period,
+        categories: categoriesLayout(templateData.categories)
+      }
+    });
+  },
+
+  // Update template (owner only)
+  async update(id, userId, templateData) {
+    return await prisma.budgetTemplate.update({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      data: {
+        name: templateData.name,
+        description: templateData.description || null,
+        amount: parseFloat(templateData.amount),
+        period: templateData.period,
+        categories: categoriesLayout(templateData.categories)
+      }
+    });
+  },
+
+  // Delete template (owner only)
+  async delete(id, userId) {
+    return await prisma.budgetTemplate.delete({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      }
+    });
+  }
+};
+
+budgetTemplateProcedures.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
+budgetTemplateProcedures.categoryLayout = categoryLayout;
+budgetTemplateProcedures.categoriesLayout = categoriesLayout;
+budgetTemplateProcedures.scaleCategories = scaleCategories;
+
+module.exports = budgetTemplateProcedures;
@@ -1,71 +1,175 @@
 const { PrismaClient } = require('@prisma/client');
+const { accessWhere, membershipSelect, resolveRole } = require('./budget-members');
+const categoryLibraryProcedures = require('./category-library');
+const {
+  getPeriod,
+  getPeriodAt,
+  periodIndexAt,
+  listPeriods,
+  isInPeriod,
+  computeCarryover
+} = require('../services/budget-periods');
+const { summarizeAllocations } = require('../services/allocations');
+const { HISTORY_PERIODS, forecastPeriod } = require('../services/forecast');
+const { findParentError, parentIndexes, withSubtotals } = require('../services/category-tree');
 
 const prisma = new PrismaClient();
 
+// Add the caller's role (owner, editor, viewer) and drop the membership rows it came from
+function withRole(budget, userId) {
+  if (!budget) return budget;
+
+  const { members, household, ...rest } = budget;
+  return { ...rest, role: resolveRole(budget, userId) };
+}
+
+// Net spending of transactions (expenses minus income)
+function sumSpending(transactions) {
+  return transactions.reduce((sum, tx) => {
+    return sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount));
+  }, 0);
+}
+
+// Period window with the dates the API returns
+function serializePeriod(period) {
+  return {
+    index: period.index,
+    startDate: period.startDate,
+    endDate: period.endDate
+  };
+}
+
 // Budget stored procedures
 const budgetProcedures = {
-  // Get all budgets for user
-  async getAll(userId) {
-    return await prisma.budget.findMany({
-      where: { userId: parseInt(userId) },
+  // Get all budgets the user can access, scoped to a household when given.
+  // Archived budgets are left out unless options.includeArchived is set.
+  async getAll(userId, householdId = null, options = {}) {
+    const budgets = await prisma.budget.findMany({
+      where: {
+        ...accessWhere(userId, undefined, householdId),
+        ...(options.includeArchived ? {} : { archivedAt: null })
+      },
       include: {
         categories: true,
         transactions: {
           take: 5, // Limit recent transactions
           orderBy: { createdAt: 'desc' }
-        }
+        },
+        ...membershipSelect(userId)
       },
       orderBy: { createdAt: 'desc' }
     });
+
+    return await Promise.all(budgets.map(budget => this.withPeriod(withRole(budget, userId))));
   },
 
-  // Get specific budget (with ownership check)
-  async getById(id, userId) {
-    return await prisma.budget.findFirst({
+  // Get specific budget (with access check, scoped to a household when given);
+  // category spentAmount covers the current period
+  async getById(id, userId, householdId = null) {
+    const budget = await this.findAccessible(id, userId, householdId);
+    if (!budget) return null;
+
+    return await this.withPeriod(budget);
+  },
+
+  // Budget with all categories and transactions (with access check), without period figures
+  async findAccessible(id, userId, householdId = null) {
+    const budget = await prisma.budget.findFirst({
       where: { 
         id: parseInt(id),
-        userId: parseInt(userId)
+        ...accessWhere(userId, undefined, householdId)
       },
       include: {
         categories: true,
         transactions: {
           orderBy: { createdAt: 'desc' }
-        }
+        },
+        ...membershipSelect(userId)
       }
     });
+
+    return withRole(budget, userId);
   },
 
-  // Create new budget
+  // Create new budget, optionally with its categories (from a clone or template). Subcategories
+  // keep their parent (by `parentId` within the list, or `parent` name); links to the category
+  // library are kept when the library category belongs to the new budget's user.
   async create(budgetData) {
-    return await prisma.budget.create({
-      data: {
-        userId: parseInt(budgetData.userId),
-        name: budgetData.name,
-        amount: parseFloat(budgetData.amount),
-        period: budgetData.period,
-        startDate: new Date(budgetData.startDate),
-        endDate: budgetData.endDate ? new Date(budgetData.endDate) : null
-      },
-      include: {
-        categories: true,
-        transactions: true
+    const categories = budgetData.categories || [];
+    const parents = parentIndexes(categories);
+    const libraryIds = await categoryLibraryProcedures.getOwnIds(
+      categories.map(category => category.libraryCategoryId),
+      budgetData.userId
+    );
+
+    return await prisma.$transaction(async (tx) => {
+      const budget = await tx.budget.create({
+        data: {
+          userId: parseInt(budgetData.userId),
+          householdId: budgetData.householdId ? parseInt(budgetData.householdId) : null,
+          name: budgetData.name,
+          amount: parseFloat(budgetData.amount),
+          period: budgetData.period,
+          startDate: new Date(budgetData.startDate),
+          endDate: budgetData.endDate ? new Date(budgetData.endDate) : null,
+          allocationPolicy: budgetData.allocationPolicy
+        }
+      });
+
+      // One at a time, so each new category lines up with its position in the list
+      const tree = [];
+      for (const category of categories) {
+        const created = await tx.category.create({
+          data: {
+            budgetId: budget.id,
+            name: category.name,
+            allocatedAmount: parseFloat(category.allocatedAmount),
+            rolloverPolicy: category.rolloverPolicy || 'none',
+            rolloverCap: category.rolloverCap === null || category.rolloverCap === undefined
+              ? null
+              : parseFloat(category.rolloverCap),
+            libraryCategoryId: libraryIds.has(parseInt(category.libraryCategoryId))
+              ? parseInt(category.libraryCategoryId)
+              : null
+          }
+        });
+        tree.push({ id: created.id, parentId: null });
       }
+
+      for (const [index, node] of tree.entries()) {
+        if (parents[index] === null) continue;
+
+        const parentId = tree[parents[index]].id;
+        if (findParentError(tree, node.id, parentId)) continue;
+
+        node.parentId = parentId;
+        await tx.category.update({ where: { id: node.id }, data: { parentId } });
+      }
+
+      return await tx.budget.findUnique({
+        where: { id: budget.id },
+        include: {
+          categories: true,
+          transactions: true
+        }
+      });
     });
   },
 
-  // Update budget
+  // Update budget (owners only)
   async update(id, userId, budgetData) {
     return await prisma.budget.update({
       where: { 
         id: parseInt(id),
-        userId: parseInt(userId)
+        ...accessWhere(userId, ['owner'])
       },
       data: {
         name: budgetData.name,
         amount: parseFloat(budgetData.amount),
         period: budgetData.period,
         startDate: new Date(budgetData.startDate),
-        endDate: budgetData.endDate ? new Date(budgetData.endDate) : null
+        endDate: budgetData.endDate ? new Date(budgetData.endDate) : null,
+        allocationPolicy: budgetData.allocationPolicy
       },
       include: {
         categories: true,
@@ -74,37 +178,255 @@ const budgetProcedures = {
     });
   },
 
-  // Delete budget
+  // Archive or restore a budget (owners only)
+  async setArchived(id, userId, archived) {
+    return await prisma.budget.update({
+      where: {
+        id: parseInt(id),
+        ...accessWhere(userId, ['owner'])
+      },
+      data: { archivedAt: archived ? new Date() : null }
+    });
+  },
+
+  // Whether a budget is archived (read-only)
+  async isArchived(id) {
+    const budget = await prisma.budget.findUnique({
+      where: { id: parseInt(id) },
+      select: { archivedAt: true }
+    });
+
+    return Boolean(budget && budget.archivedAt);
+  },
+
+  // Delete budget (owners only)
   async delete(id, userId) {
     return await prisma.budget.delete({
       where: { 
         id: parseInt(id),
-        userId: parseInt(userId)
+        ...accessWhere(userId, ['owner'])
       }
     });
   },
 
-  // Get budget summary (total spent, remaining, etc.)
-  async getSummary(id, userId) {
-    const budget = await this.getById(id, userId);
-    if (!budget) return null;
+  // Net spending per category within a period, keyed by category ID
+  async getPeriodSpending(budgetId, period) {
+    const groups = await prisma.transaction.groupBy({
+      by: ['categoryId', 'type'],
+      where: {
+        budgetId: parseInt(budgetId),
+        date: { gte: period.startDate, lt: period.endDate }
+      },
+      _sum: { amount: true }
+    });
 
-    const totalSpent = budget.transactions.reduce((sum, tx) => {
-      return sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount));
-    }, 0);
+    return groups.reduce((spending, group) => {
+      const amount = parseFloat(group._sum.amount || 0);
+      spending[group.categoryId] = (spending[group.categoryId] || 0) +
+        (group.type === 'expense' ? amount : -amount);
+      return spending;
+    }, {});
+  },
+
+  // Add the period (current by default) and set each category's spentAmount to its spending in it
+  async withPeriod(budget, period = getPeriodAt(budget)) {
+    const spending = await this.getPeriodSpending(budget.id, period);
+
+    return {
+      ...budget,
+      currentPeriod: serializePeriod(period),
+      categories: budget.categories.map(category => ({
+        ...category,
+        spentAmount: spending[category.id] || 0
+      }))
+    };
+  },
+
+  // Carryover of each category (with a rollover policy) into a period, keyed by category ID
+  async getCarryover(budget, period) {
+    const categories = budget.categories.filter(category => category.rolloverPolicy !== 'none');
+    if (categories.length === 0 || period.index === 0) return {};
+
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        budgetId: budget.id,
+        categoryId: { in: categories.map(category => category.id) },
+        date: { gte: new Date(budget.startDate), lt: period.startDate }
+      },
+      select: { categoryId: true, amount: true, type: true, date: true }
+    });
+
+    return categories.reduce((carryover, category) => {
+      const spentByPeriod = new Array(period.index).fill(0);
+
+      transactions
+        .filter(tx => tx.categoryId === category.id)
+        .forEach(tx => {
+          spentByPeriod[periodIndexAt(budget, tx.date)] += sumSpending([tx]);
+        });
+
+      carryover[category.id] = computeCarryover(category, spentByPeriod);
+      return carryover;
+    }, {});
+  },
+
+  // Get budget summary (total spent, remaining, etc.) for the period containing `date`
+  // (the current period by default). Each category reports its carryover from earlier
+  // periods and what is available to spend.
+  async getSummary(id, userId, householdId = null, date = new Date()) {
+    const found = await this.findAccessible(id, userId, householdId);
+    if (!found) return null;
+
+    const period = getPeriodAt(found, date);
+    const withSpending = await this.withPeriod({
+      ...found,
+      transactions: found.transactions.filter(tx => isInPeriod(tx.date, period))
+    }, period);
+
+    const carryover = await this.getCarryover(found, period);
+    const budget = {
+      ...withSpending,
+      // Parents also get totals that include their subcategories
+      categories: withSubtotals(withSpending.categories).map(category => {
+        const categoryCarryover = carryover[category.id] || 0;
+        const available = parseFloat(category.allocatedAmount) + categoryCarryover;
 
-    const totalAllocated = budget.categories.reduce((sum, cat) => {
-      return sum + parseFloat(cat.allocatedAmount);
+        return {
+          ...category,
+          carryover: categoryCarryover,
+          available,
+          availableRemaining: available - parseFloat(category.spentAmount)
+        };
+      })
+    };
+
+    const totalSpent = sumSpending(budget.transactions);
+
+    const { totalAllocated, unallocated, overAllocated } = summarizeAllocations(
+      budget.amount,
+      budget.categories.map(cat => cat.allocatedAmount)
+    );
+
+    const totalCategorySpent = budget.categories.reduce((sum, cat) => {
+      return sum + parseFloat(cat.spentAmount);
     }, 0);
 
+    const totalCarryover = budget.categories.reduce((sum, cat) => sum + cat.carryover, 0);
+
     return {
       budget,
+      period: serializePeriod(period),
       totalSpent,
       totalAllocated,
+      unallocated,
+      overAllocated,
+      totalCarryover,
       remaining: parseFloat(budget.amount) - totalSpent,
-      allocatedRemaining: totalAllocated - budget.categories.reduce((sum, cat) => {
-        return sum + parseFloat(cat.spentAmount);
-      }, 0)
+      allocatedRemaining: totalAllocated - totalCategorySpent,
+      availableToSpend: totalAllocated + totalCarryover - totalCategorySpent
+    };
+  },
+
+  // Forecast of the period containing `date` (the current period by default): projected
+  // end-of-period spending per category and the day-by-day projected balance
+  async getForecast(id, userId, householdId = null, date = new Date()) {
+    const summary = await this.getSummary(id, userId, householdId, date);
+    if (!summary) return null;
+
+    const { budget } = summary;
+    const period = getPeriodAt(budget, date);
+    const history = [];
+    for (let index = period.index - 1; index >= Math.max(period.index - HISTORY_PERIODS, 0); index--) {
+      history.push(getPeriod(budget, index));
+    }
+
+    const pastTransactions = history.length === 0 ? [] : await prisma.transaction.findMany({
+      where: {
+        budgetId: budget.id,
+        date: {
+          gte: history[history.length - 1].startDate,
+          lt: period.startDate
+        }
+      },
+      select: { categoryId: true, amount: true, type: true, date: true, description: true }
+    });
+
+    const forecast = forecastPeriod({
+      period,
+      asOf: date,
+      categories: budget.categories,
+      transactions: budget.transactions,
+      history: history.map(past => ({
+        ...past,
+        transactions: pastTransactions.filter(tx => isInPeriod(tx.date, past))
+      })),
+      openingBalance: parseFloat(budget.amount) + summary.totalCarryover
+    });
+
+    return {
+      budgetId: budget.id,
+      period: serializePeriod(period),
+      historyPeriods: history.length,
+      ...forecast,
+      overrunCategories: forecast.categories
+        .filter(category => category.expectedOverrun)
+        .map(category => category.categoryId)
+    };
+  },
+
+  // Periods from the first to the current one, newest first, with their totals
+  async getPeriods(id, userId, householdId = null, options = {}) {
+    const { limit = 12, offset = 0 } = options;
+
+    const budget = await prisma.budget.findFirst({
+      where: {
+        id: parseInt(id),
+        ...accessWhere(userId, undefined, householdId)
+      },
+      select: { id: true, amount: true, period: true, startDate: true, endDate: true }
+    });
+
+    if (!budget) return null;
+
+    const periods = listPeriods(budget).reverse();
+    const page = periods.slice(offset, offset + limit);
+
+    const transactions = page.length === 0 ? [] : await prisma.transaction.findMany({
+      where: {
+        budgetId: budget.id,
+        date: {
+          gte: page[page.length - 1].startDate,
+          lt: page[0].endDate
+        }
+      },
+      select: { amount: true, type: true, date: true }
+    });
+
+    const amount = parseFloat(budget.amount);
+
+    return {
+      periods: page.map(period => {
+        const periodTransactions = transactions.filter(tx => isInPeriod(tx.date, period));
+        const totalExpenses = sumSpending(periodTransactions.filter(tx => tx.type === 'expense'));
+        const totalIncome = -sumSpending(periodTransactions.filter(tx => tx.type !== 'expense'));
+        const totalSpent = totalExpenses - totalIncome;
+
+        return {
+          ...serializePeriod(period),
+          isCurrent: period.index === periods[0].index,
+          totalExpenses,
+          totalIncome,
+          totalSpent,
+          remaining: amount - totalSpent,
+          transactionCount: periodTransactions.length
+        };
+      }),
+      pagination: {
+        total: periods.length,
+        limit,
+        offset,
+        hasMore: offset + page.length < periods.length
+      }
     };
   }
 };
@@ -1,43 +1,102 @@
 const { PrismaClient } = require('@prisma/client');
+const { accessWhere, EDIT_ROLES } = require('./budget-members');
+const budgetProcedures = require('./budgets');
+const { getPeriodAt, isInPeriod } = require('../services/budget-periods');
+const { summarizeAllocations, rebalanceAllocations } = require('../services/allocations');
+const { findParentError } = require('../services/category-tree');
 
 const prisma = new PrismaClient();
 
+// Rollover fields of a create/update; fields left out keep their current value (or the default)
+function rolloverData(categoryData) {
+  const data = {};
+
+  if (categoryData.rolloverPolicy !== undefined) {
+    data.rolloverPolicy = categoryData.rolloverPolicy;
+  }
+
+  if (categoryData.rolloverCap !== undefined) {
+    data.rolloverCap = categoryData.rolloverCap === null ? null : parseFloat(categoryData.rolloverCap);
+  }
+
+  return data;
+}
+
+// Parent of a create/update; left out keeps the current parent, null moves to the top level
+function parentData(categoryData) {
+  if (categoryData.parentId === undefined) return {};
+  return { parentId: categoryData.parentId === null ? null : parseInt(categoryData.parentId) };
+}
+
+// Library link of a create/update; left out keeps the current link, null unlinks
+function libraryData(categoryData) {
+  if (categoryData.libraryCategoryId === undefined) return {};
+  return {
+    libraryCategoryId: categoryData.libraryCategoryId === null ? null : parseInt(categoryData.libraryCategoryId)
+  };
+}
+
+const libraryInclude = {
+  libraryCategory: { select: { id: true, name: true, color: true, icon: true } }
+};
+
 // Category stored procedures
 const categoryProcedures = {
-  // Get categories for budget (with ownership check)
-  async getByBudgetId(budgetId, userId) {
-    return await prisma.category.findMany({
+  // Get categories for budget (with access check, scoped to a household when given);
+  // spentAmount covers the budget's current period
+  async getByBudgetId(budgetId, userId, householdId = null) {
+    const categories = await prisma.category.findMany({
       where: {
         budget: {
           id: parseInt(budgetId),
-          userId: parseInt(userId)
+          ...accessWhere(userId, undefined, householdId)
         }
       },
       include: {
+        ...libraryInclude,
         transactions: {
           orderBy: { createdAt: 'desc' }
         }
       },
       orderBy: { createdAt: 'desc' }
     });
+
+    if (categories.length === 0) return categories;
+
+    const budget = await prisma.budget.findUnique({ where: { id: parseInt(budgetId) } });
+    const spending = await budgetProcedures.getPeriodSpending(budget.id, getPeriodAt(budget));
+
+    return categories.map(category => ({
+      ...category,
+      spentAmount: spending[category.id] || 0
+    }));
   },
 
-  // Get specific category (with ownership check)
-  async getById(id, userId) {
-    return await prisma.category.findFirst({
+  // Get specific category (with access check, scoped to a household when given);
+  // spentAmount covers the budget's current period
+  async getById(id, userId, householdId = null) {
+    const category = await prisma.category.findFirst({
       where: {
         id: parseInt(id),
-        budget: {
-          userId: parseInt(userId)
-        }
+        budget: accessWhere(userId, undefined, householdId)
       },
       include: {
         budget: true,
+        ...libraryInclude,
         transactions: {
           orderBy: { createdAt: 'desc' }
         }
       }
     });
+
+    if (!category) return null;
+
+    const period = getPeriodAt(category.budget);
+    const spentAmount = category.transactions
+      .filter(tx => isInPeriod(tx.date, period))
+      .reduce((sum, tx) => sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount)), 0);
+
+    return { ...category, spentAmount };
   },
 
   // Create category
@@ -46,45 +105,103 @@ const categoryProcedures = {
       data: {
         budgetId: parseInt(categoryData.budgetId),
         name: categoryData.name,
-        allocatedAmount: parseFloat(categoryData.allocatedAmount)
+        allocatedAmount: parseFloat(categoryData.allocatedAmount),
+        ...parentData(categoryData),
+        ...libraryData(categoryData),
+        ...rolloverData(categoryData)
       },
       include: {
         budget: true,
+        ...libraryInclude,
         transactions: true
       }
     });
   },
 
-  // Update category
+  // Update category (owners and editors)
   async update(id, userId, categoryData) {
     return await prisma.category.update({
       where: {
         id: parseInt(id),
-        budget: {
-          userId: parseInt(userId)
-        }
+        budget: accessWhere(userId, EDIT_ROLES)
       },
       data: {
         name: categoryData.name,
-        allocatedAmount: parseFloat(categoryData.allocatedAmount)
+        allocatedAmount: parseFloat(categoryData.allocatedAmount),
+        ...parentData(categoryData),
+        ...libraryData(categoryData),
+        ...rolloverData(categoryData)
       },
       include: {
         budget: true,
+        ...libraryInclude,
         transactions: true
       }
     });
   },
 
-  // Delete category
+  // Delete category (owners and editors)
   async delete(id, userId) {
     return await prisma.category.delete({
       where: {
         id: parseInt(id),
-        budget: {
-          userId: parseInt(userId)
+        budget: accessWhere(userId, EDIT_ROLES)
+      }
+    });
+  },
+
+  // Check a parent for a category (new, or categoryId) of a budget, returns an error message or null
+  async checkParent(budgetId, parentId, categoryId = null) {
+    const categories = await prisma.category.findMany({
+      where: { budgetId: parseInt(budgetId) },
+      select: { id: true, parentId: true }
+    });
+
+    return findParentError(categories, categoryId === null ? null : parseInt(categoryId), parseInt(parentId));
+  },
+
+  // Budget allocation if a category (new, or categoryId) had the given allocatedAmount,
+  // with the budget's allocation policy
+  async checkAllocation(budgetId, allocatedAmount, categoryId = null) {
+    const budget = await prisma.budget.findUnique({
+      where: { id: parseInt(budgetId) },
+      include: {
+        categories: {
+          where: categoryId ? { id: { not: parseInt(categoryId) } } : {},
+          select: { allocatedAmount: true }
         }
       }
     });
+
+    return {
+      policy: budget.allocationPolicy,
+      budgetAmount: parseFloat(budget.amount),
+      ...summarizeAllocations(budget.amount, [
+        ...budget.categories.map(category => category.allocatedAmount),
+        allocatedAmount
+      ])
+    };
+  },
+
+  // Scale all allocations of a budget proportionally to add up to the budget amount.
+  // Returns the categories before and after.
+  async rebalance(budgetId) {
+    const categories = await prisma.category.findMany({
+      where: { budgetId: parseInt(budgetId) },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const budget = await prisma.budget.findUnique({ where: { id: parseInt(budgetId) } });
+    const allocations = rebalanceAllocations(categories, budget.amount);
+
+    const updated = await prisma.$transaction(allocations.map(allocation =>
+      prisma.category.update({
+        where: { id: allocation.id },
+        data: { allocatedAmount: allocation.allocatedAmount }
+      })
+    ));
+
+    return { before: categories, after: updated };
   },
 
   // Update spent amount (called when transactions are created/updated/deleted)
@@ -95,16 +212,17 @@ const categoryProcedures = {
     });
   },
 
-  // Recalculate spent amount from transactions
+  // Recalculate spent amount from the transactions in the budget's current period
   async recalculateSpentAmount(id) {
     const category = await prisma.category.findUnique({
       where: { id: parseInt(id) },
-      include: { transactions: true }
+      include: { budget: true, transactions: true }
     });
 
     if (!category) return null;
 
-    const spentAmount = category.transactions.reduce((sum, tx) => {
+    const period = getPeriodAt(category.budget);
+    const spentAmount = category.transactions.filter(tx => isInPeriod(tx.date, period)).reduce((sum, tx) => {
       return sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount));
     }, 0);
 
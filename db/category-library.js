@@ -0,0 +1,166 @@
+const { PrismaClient } = require('@prisma/client');
+const { accessWhere, EDIT_ROLES } = require('./budget-members');
+
+const prisma = new PrismaClient();
+
+const librarySelect = { id: true, name: true, color: true, icon: true };
+
+// Category library stored procedures
+const categoryLibraryProcedures = {
+  // Library of a user, with how many budget categories use each entry
+  async getAll(userId) {
+    return await prisma.libraryCategory.findMany({
+      where: { userId: parseInt(userId) },
+      include: {
+        _count: { select: { categories: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+  },
+
+  // Get a library category (owner only)
+  async getById(id, userId) {
+    return await prisma.libraryCategory.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      }
+    });
+  },
+
+  // IDs of the user's library categories among the given ones
+  async getOwnIds(ids, userId) {
+    const wanted = ids.filter(id => id !== null && id !== undefined).map(id => parseInt(id));
+    if (wanted.length === 0) return new Set();
+
+    const entries = await prisma.libraryCategory.findMany({
+      where: {
+        id: { in: wanted },
+        userId: parseInt(userId)
+      },
+      select: { id: true }
+    });
+
+    return new Set(entries.map(entry => entry.id));
+  },
+
+  // Create library category
+  async create(libraryData) {
+    return await prisma.libraryCategory.create({
+      data: {
+        userId: parseInt(libraryData.userId),
+        name: libraryData.name,
+        color: libraryData.color || null,
+        icon: libraryData.icon || null
+      }
+    });
+  },
+
+  // Update library category (owner only)
+  async update(id, userId, libraryData) {
+    return await prisma.libraryCategory.update({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      data: {
+        name: libraryData.name,
+        color: libraryData.color || null,
+        icon: libraryData.icon || null
+      }
+    });
+  },
+
+  // Delete library category (owner only); budget categories using it are unlinked
+  async delete(id, userId) {
+    return await prisma.libraryCategory.delete({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      }
+    });
+  },
+
+  // Link unlinked categories of budgets the user can edit to the library category with the
+  // same name (case-insensitive). Returns how many categories were linked.
+  async linkExisting(userId, householdId = null) {
+    const library = await prisma.libraryCategory.findMany({
+      where: { userId: parseInt(userId) },
+      select: { id: true, name: true }
+    });
+
+    let linked = 0;
+    for (const entry of library) {
+      const { count } = await prisma.category.updateMany({
+        where: {
+          libraryCategoryId: null,
+          name: { equals: entry.name, mode: 'insensitive' },
+          budget: accessWhere(userId, EDIT_ROLES, householdId)
+        },
+        data: { libraryCategoryId: entry.id }
+      });
+      linked += count;
+    }
+
+    return linked;
+  },
+
+  // Net spending (expenses minus income) per library category between `from` and `to`
+  // (exclusive), across every budget the user can access, with the share of each budget
+  async getSpending(userId, householdId = null, range) {
+    const library = await prisma.libraryCategory.findMany({
+      where: { userId: parseInt(userId) },
+      select: librarySelect,
+      orderBy: { name: 'asc' }
+    });
+
+    const categories = library.length === 0 ? [] : await prisma.category.findMany({
+      where: {
+        libraryCategoryId: { in: library.map(entry => entry.id) },
+        budget: accessWhere(userId, undefined, householdId)
+      },
+      select: {
+        id: true,
+        libraryCategoryId: true,
+        budget: { select: { id: true, name: true } }
+      }
+    });
+
+    const groups = categories.length === 0 ? [] : await prisma.transaction.groupBy({
+      by: ['categoryId', 'type'],
+      where: {
+        categoryId: { in: categories.map(category => category.id) },
+        date: { gte: range.from, lt: range.to }
+      },
+      _sum: { amount: true }
+    });
+
+    const spentByCategory = groups.reduce((spending, group) => {
+      const amount = parseFloat(group._sum.amount || 0);
+      spending[group.categoryId] = (spending[group.categoryId] || 0) +
+        (group.type === 'expense' ? amount : -amount);
+      return spending;
+    }, {});
+
+    return library.map(entry => {
+      const budgets = categories
+        .filter(category => category.libraryCategoryId === entry.id)
+        .map(category => ({
+          budgetId: category.budget.id,
+          budgetName: category.budget.name,
+          categoryId: category.id,
+          spent: Math.round((spentByCategory[category.id] || 0) * 100) / 100
+        }));
+
+      return {
+        ...entry,
+        spent: Math.round(budgets.reduce((sum, budget) => sum + budget.spent, 0) * 100) / 100,
+        budgets
+      };
+    });
+  }
+};
+
+categoryLibraryProcedures.librarySelect = librarySelect;
+
+module.exports = categoryLibraryProcedures;
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
 const prisma = new PrismaClient();
 
 /**
@@ -121,11 +122,19 @@ async function deleteConnection(connectionId, userId) {
  * @returns {Promise<Array>} Array of matching users
  */
 async function searchUsers(query, userId) {
+  const filters = [
+    { id: { not: userId } }, // Exclude self
+    { isActive: true }
+  ];
+
+  if (config.emailVerification.policy !== 'none') {
+    filters.push({ emailVerifiedAt: { not: null } });
+  }
+
   const users = await prisma.user.findMany({
     where: {
       AND: [
-        { id: { not: userId } }, // Exclude self
-        { isActive: true },
+        ...filters,
         {
           OR: [
             { email: { contains: query, mode: 'insensitive' } },
@@ -0,0 +1,131 @@
+const { PrismaClient } = require('@prisma/client');
+const { calculateProgress } = require('../services/goals');
+
+const prisma = new PrismaClient();
+
+const goalInclude = {
+  budget: { select: { id: true, name: true } },
+  category: { select: { id: true, name: true } },
+  contributions: {
+    orderBy: { date: 'desc' }
+  }
+};
+
+// Add progress figures to a goal loaded with its contributions
+function withProgress(goal) {
+  if (!goal) return goal;
+  return { ...goal, progress: calculateProgress(goal, goal.contributions) };
+}
+
+// Goal stored procedures
+const goalProcedures = {
+  // Get all goals of a user
+  async getAll(userId) {
+    const goals = await prisma.goal.findMany({
+      where: { userId: parseInt(userId) },
+      include: goalInclude,
+      orderBy: [{ targetDate: 'asc' }, { createdAt: 'desc' }]
+    });
+
+    return goals.map(withProgress);
+  },
+
+  // Get specific goal (owner only)
+  async getById(id, userId) {
+    const goal = await prisma.goal.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      include: goalInclude
+    });
+
+    return withProgress(goal);
+  },
+
+  // Create goal
+  async create(goalData) {
+    const goal = await prisma.goal.create({
+      data: {
+        userId: parseInt(goalData.userId),
+        name: goalData.name,
+        targetAmount: parseFloat(goalData.targetAmount),
+        targetDate: goalData.targetDate ? new Date(goalData.targetDate) : null,
+        budgetId: goalData.budgetId ? parseInt(goalData.budgetId) : null,
+        categoryId: goalData.categoryId ? parseInt(goalData.categoryId) : null
+      },
+      include: goalInclude
+    });
+
+    return withProgress(goal);
+  },
+
+  // Update goal (owner only)
+  async update(id, userId, goalData) {
+    const goal = await prisma.goal.update({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      data: {
+        name: goalData.name,
+        targetAmount: parseFloat(goalData.targetAmount),
+        targetDate: goalData.targetDate ? new Date(goalData.targetDate) : null,
+        budgetId: goalData.budgetId ? parseInt(goalData.budgetId) : null,
+        categoryId: goalData.categoryId ? parseInt(goalData.categoryId) : null
+      },
+      include: goalInclude
+    });
+
+    return withProgress(goal);
+  },
+
+  // Delete goal (owner only)
+  async delete(id, userId) {
+    return await prisma.goal.delete({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      }
+    });
+  },
+
+  // Record a contribution
+  async addContribution(contributionData) {
+    return await prisma.goalContribution.create({
+      data: {
+        goalId: parseInt(contributionData.goalId),
+        amount: parseFloat(contributionData.amount),
+        date: contributionData.date ? new Date(contributionData.date) : new Date(),
+        note: contributionData.note || null,
+        transactionId: contributionData.transactionId ? parseInt(contributionData.transactionId) : null,
+        createdById: parseInt(contributionData.createdById)
+      },
+      include: {
+        transaction: true
+      }
+    });
+  },
+
+  // Get a contribution of a goal
+  async getContribution(id, goalId) {
+    return await prisma.goalContribution.findFirst({
+      where: {
+        id: parseInt(id),
+        goalId: parseInt(goalId)
+      }
+    });
+  },
+
+  // Delete a contribution (its transaction, if any, is kept)
+  async deleteContribution(id, goalId) {
+    return await prisma.goalContribution.delete({
+      where: {
+        id: parseInt(id),
+        goalId: parseInt(goalId)
+      }
+    });
+  }
+};
+
+module.exports = goalProcedures;
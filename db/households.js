@@ -0,0 +1,358 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Household roles: owners manage the household, its members and all of its budgets;
+// members can use every budget in the household
+const ROLES = ['owner', 'member'];
+
+const userSelect = { id: true, name: true, email: true };
+
+const DEFAULT_CHANGED = 'Default household changed concurrently';
+const NOTHING_TO_ADOPT = 'Legacy data already adopted';
+
+// Accepted membership of a user in a household
+function acceptedMembership(userId) {
+  return {
+    userId: parseInt(userId),
+    acceptedAt: { not: null }
+  };
+}
+
+// Budgets or splits of the user created before households existed (not in any household yet)
+async function hasLegacyData(userId) {
+  const [budgets, splits] = await Promise.all([
+    prisma.budget.count({ where: { userId: parseInt(userId), householdId: null } }),
+    prisma.split.count({ where: { createdBy: parseInt(userId), householdId: null } })
+  ]);
+
+  return budgets + splits > 0;
+}
+
+// Move budgets and splits created before households existed into a household; returns how
+// many rows moved
+async function moveLegacyData(tx, userId, householdId) {
+  const budgets = await tx.budget.updateMany({
+    where: { userId, householdId: null },
+    data: { householdId }
+  });
+  const splits = await tx.split.updateMany({
+    where: { createdBy: userId, householdId: null },
+    data: { householdId }
+  });
+
+  return budgets.count + splits.count;
+}
+
+// Household stored procedures
+const householdProcedures = {
+  // Households the user belongs to (and pending invitations), with their role
+  async getAllForUser(userId) {
+    const [memberships, user] = await Promise.all([
+      prisma.householdMember.findMany({
+        where: { userId: parseInt(userId) },
+        include: {
+          household: {
+            include: {
+              _count: { select: { members: true, budgets: true } }
+            }
+          }
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: parseInt(userId) },
+        select: { defaultHouseholdId: true }
+      })
+    ]);
+
+    return memberships.map(membership => ({
+      ...membership.household,
+      role: membership.role,
+      membershipId: membership.id,
+      pending: !membership.acceptedAt,
+      isDefault: membership.householdId === (user && user.defaultHouseholdId)
+    }));
+  },
+
+  // Get household with members (members only)
+  async getById(id, userId) {
+    return await prisma.household.findFirst({
+      where: {
+        id: parseInt(id),
+        members: { some: acceptedMembership(userId) }
+      },
+      include: {
+        members: {
+          include: {
+            user: { select: userSelect },
+            invitedBy: { select: userSelect }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+  },
+
+  // Accepted membership of a user in a household, or null
+  async getMembership(householdId, userId) {
+    if (isNaN(parseInt(householdId))) return null;
+
+    return await prisma.householdMember.findFirst({
+      where: {
+        householdId: parseInt(householdId),
+        ...acceptedMembership(userId)
+      }
+    });
+  },
+
+  // Create household with the creator as its owner
+  async create(householdData) {
+    return await prisma.household.create({
+      data: {
+        name: householdData.name,
+        members: {
+          create: {
+            userId: parseInt(householdData.userId),
+            role: 'owner',
+            acceptedAt: new Date()
+          }
+        }
+      }
+    });
+  },
+
+  // Update household
+  async update(id, householdData) {
+    return await prisma.household.update({
+      where: { id: parseInt(id) },
+      data: { name: householdData.name }
+    });
+  },
+
+  // Delete household (callers check it has no budgets left)
+  async delete(id) {
+    return await prisma.household.delete({
+      where: { id: parseInt(id) }
+    });
+  },
+
+  // Number of budgets owned by a household
+  async countBudgets(id) {
+    return await prisma.budget.count({
+      where: { householdId: parseInt(id) }
+    });
+  },
+
+  // The user's default household. Users without one (accounts created before households
+  // existed) get a personal household, and their existing budgets and splits move into it.
+  async getDefaultForUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { id: true, name: true, defaultHouseholdId: true }
+    });
+
+    if (user.defaultHouseholdId) {
+      const membership = await this.getMembership(user.defaultHouseholdId, user.id);
+      if (membership) return membership;
+    }
+
+    // Fall back to any household the user belongs to
+    const membership = await prisma.householdMember.findFirst({
+      where: acceptedMembership(user.id),
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (membership) {
+      await this.setDefault(user.id, membership.householdId);
+      return membership;
+    }
+
+    return await this.createPersonal(user);
+  },
+
+  // Create the personal household of a user and make it their default.
+  // `user.defaultHouseholdId` is the value the caller saw; if a concurrent request already
+  // replaced it, that request's household is used instead.
+  async createPersonal(user) {
+    const household = await prisma.$transaction(async (tx) => {
+      const created = await tx.household.create({
+        data: {
+          name: `${user.name}'s household`,
+          members: {
+            create: { userId: user.id, role: 'owner', acceptedAt: new Date() }
+          }
+        }
+      });
+
+      const { count } = await tx.user.updateMany({
+        where: { id: user.id, defaultHouseholdId: user.defaultHouseholdId || null },
+        data: { defaultHouseholdId: created.id }
+      });
+
+      // Roll back: another request already set a default household
+      if (count === 0) throw new Error(DEFAULT_CHANGED);
+
+      // Adopt data created before households existed
+      await moveLegacyData(tx, user.id, created.id);
+
+      return created;
+    }).catch(error => {
+      if (error.message === DEFAULT_CHANGED) return null;
+      throw error;
+    });
+
+    if (!household) {
+      return await this.getDefaultForUser(user.id);
+    }
+
+    return await this.getMembership(household.id, user.id);
+  },
+
+  // Give data created before households existed a personal household of its own (run at
+  // login). Covers users who were invited to a household before their first request, so
+  // getDefaultForUser never created one for them; their chosen default is kept.
+  async adoptLegacyData(userId) {
+    if (!await hasLegacyData(userId)) return null;
+
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(userId) },
+      select: { id: true, name: true, defaultHouseholdId: true }
+    });
+
+    const hasDefault = user.defaultHouseholdId &&
+      await this.getMembership(user.defaultHouseholdId, user.id);
+    if (!hasDefault) {
+      return await this.getDefaultForUser(user.id);
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const created = await tx.household.create({
+        data: {
+          name: `${user.name}'s household`,
+          members: {
+            create: { userId: user.id, role: 'owner', acceptedAt: new Date() }
+          }
+        }
+      });
+
+      // Roll back: a concurrent login already adopted everything
+      if (await moveLegacyData(tx, user.id, created.id) === 0) {
+        throw new Error(NOTHING_TO_ADOPT);
+      }
+
+      return created;
+    }).catch(error => {
+      if (error.message === NOTHING_TO_ADOPT) return null;
+      throw error;
+    });
+  },
+
+  // Set the household used when a request does not pick one
+  async setDefault(userId, householdId) {
+    return await prisma.user.update({
+      where: { id: parseInt(userId) },
+      data: { defaultHouseholdId: parseInt(householdId) }
+    });
+  },
+
+  // Get a membership (accepted or pending) of a household
+  async getMemberById(id, householdId) {
+    return await prisma.householdMember.findFirst({
+      where: {
+        id: parseInt(id),
+        householdId: parseInt(householdId)
+      },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Invite a user (pending until they accept)
+  async invite(memberData) {
+    return await prisma.householdMember.create({
+      data: {
+        householdId: parseInt(memberData.householdId),
+        userId: parseInt(memberData.userId),
+        role: memberData.role,
+        invitedById: parseInt(memberData.invitedById)
+      },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Accept an invitation, returns the membership or null if there is no such pending invitation
+  async acceptInvitation(householdId, userId) {
+    const { count } = await prisma.householdMember.updateMany({
+      where: {
+        householdId: parseInt(householdId),
+        userId: parseInt(userId),
+        acceptedAt: null
+      },
+      data: { acceptedAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    return await this.getMembership(householdId, userId);
+  },
+
+  // Change a member's role
+  async updateRole(id, householdId, role) {
+    return await prisma.householdMember.update({
+      where: {
+        id: parseInt(id),
+        householdId: parseInt(householdId)
+      },
+      data: { role },
+      include: {
+        user: { select: userSelect }
+      }
+    });
+  },
+
+  // Number of accepted owners (a household must keep at least one)
+  async countOwners(householdId) {
+    return await prisma.householdMember.count({
+      where: {
+        householdId: parseInt(householdId),
+        role: 'owner',
+        acceptedAt: { not: null }
+      }
+    });
+  },
+
+  // Households the user is the only accepted owner of while other members remain
+  // (they would be left without anyone to manage them if the user went away)
+  async getSoleOwnedWithMembers(userId) {
+    const id = parseInt(userId);
+
+    return await prisma.household.findMany({
+      where: {
+        AND: [
+          { members: { some: { ...acceptedMembership(id), role: 'owner' } } },
+          { members: { none: { userId: { not: id }, role: 'owner', acceptedAt: { not: null } } } },
+          { members: { some: { userId: { not: id }, acceptedAt: { not: null } } } }
+        ]
+      },
+      select: { id: true, name: true }
+    });
+  },
+
+  // Remove a member, withdraw or decline an invitation, or leave
+  async removeMember(id, householdId) {
+    return await prisma.householdMember.delete({
+      where: {
+        id: parseInt(id),
+        householdId: parseInt(householdId)
+      }
+    });
+  }
+};
+
+householdProcedures.ROLES = ROLES;
+
+module.exports = householdProcedures;
@@ -0,0 +1,86 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Notification stored procedures
+const notificationProcedures = {
+  // Notifications of a user, newest first
+  async getForUser(userId, filters = {}) {
+    const { limit = 50, offset = 0, unreadOnly = false } = filters;
+
+    const where = { userId: parseInt(userId) };
+    if (unreadOnly) {
+      where.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(limit, 100), // Cap at 100
+        skip: offset
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.count({ where: { userId: parseInt(userId), readAt: null } })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + notifications.length < total
+      }
+    };
+  },
+
+  // Store notifications; ones with a dedupeKey the user already has are skipped.
+  // Returns the number created.
+  async createMany(notifications) {
+    if (notifications.length === 0) return 0;
+
+    const { count } = await prisma.notification.createMany({
+      data: notifications,
+      skipDuplicates: true
+    });
+
+    return count;
+  },
+
+  // Mark a notification as read, returns it or null if it is not the user's
+  async markRead(id, userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId),
+        readAt: null
+      },
+      data: { readAt: new Date() }
+    });
+
+    if (count === 0) {
+      return await prisma.notification.findFirst({
+        where: { id: parseInt(id), userId: parseInt(userId) }
+      });
+    }
+
+    return await prisma.notification.findUnique({ where: { id: parseInt(id) } });
+  },
+
+  // Mark all of a user's notifications as read, returns how many changed
+  async markAllRead(userId) {
+    const { count } = await prisma.notification.updateMany({
+      where: {
+        userId: parseInt(userId),
+        readAt: null
+      },
+      data: { readAt: new Date() }
+    });
+
+    return count;
+  }
+};
+
+module.exports = notificationProcedures;
@@ -0,0 +1,64 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+
+const prisma = new PrismaClient();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// One-time token stored procedures (password reset links and similar)
+const oneTimeTokenProcedures = {
+  // Create token for user, invalidating any unused token of the same type.
+  // Returns the raw token; only its hash is stored.
+  async create(userId, type, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await prisma.$transaction([
+      prisma.oneTimeToken.updateMany({
+        where: {
+          userId: parseInt(userId),
+          type,
+          usedAt: null
+        },
+        data: { usedAt: new Date() }
+      }),
+      prisma.oneTimeToken.create({
+        data: {
+          userId: parseInt(userId),
+          type,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        }
+      })
+    ]);
+
+    return token;
+  },
+
+  // Mark token as used and return it, or null if unknown, expired or already used
+  async consume(token, type) {
+    if (!token || typeof token !== 'string') return null;
+
+    const tokenHash = hashToken(token);
+
+    // Conditional update so a token can only be redeemed once
+    const { count } = await prisma.oneTimeToken.updateMany({
+      where: {
+        tokenHash,
+        type,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) return null;
+
+    return await prisma.oneTimeToken.findUnique({
+      where: { tokenHash }
+    });
+  }
+};
+
+module.exports = oneTimeTokenProcedures;
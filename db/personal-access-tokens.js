@@ -0,0 +1,115 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+
+const prisma = new PrismaClient();
+
+// Recognisable prefix so tokens can be told apart from JWTs (and found by secret scanners)
+const TOKEN_PREFIX = 'bvn_pat_';
+const SCOPES = ['read', 'read_write'];
+
+// Only write lastUsedAt once per minute per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Fields exposed to the token owner (never the hash)
+const publicTokenSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scope: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true
+};
+
+// Personal access token stored procedures
+const personalAccessTokenProcedures = {
+  // Get all tokens for user
+  async getAllForUser(userId) {
+    return await prisma.personalAccessToken.findMany({
+      where: { userId: parseInt(userId) },
+      select: publicTokenSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+  },
+
+  // Create token; the raw token is returned once and never stored
+  async create(tokenData) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const record = await prisma.personalAccessToken.create({
+      data: {
+        userId: parseInt(tokenData.userId),
+        name: tokenData.name,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 4),
+        scope: tokenData.scope || 'read',
+        expiresAt: tokenData.expiresAt ? new Date(tokenData.expiresAt) : null
+      },
+      select: publicTokenSelect
+    });
+
+    return { token, record };
+  },
+
+  // Get token (with ownership check)
+  async getById(id, userId) {
+    return await prisma.personalAccessToken.findFirst({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      select: publicTokenSelect
+    });
+  },
+
+  // Rename token (with ownership check)
+  async update(id, userId, tokenData) {
+    return await prisma.personalAccessToken.update({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      data: { name: tokenData.name },
+      select: publicTokenSelect
+    });
+  },
+
+  // Delete token (with ownership check)
+  async delete(id, userId) {
+    return await prisma.personalAccessToken.delete({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId)
+      },
+      select: publicTokenSelect
+    });
+  },
+
+  // Look up a presented token; returns null if unknown or expired
+  async authenticate(token) {
+    const record = await prisma.personalAccessToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!record) return null;
+    if (record.expiresAt && record.expiresAt <= new Date()) return null;
+
+    if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() >= TOUCH_INTERVAL_MS) {
+      await prisma.personalAccessToken.update({
+        where: { id: record.id },
+        data: { lastUsedAt: new Date() }
+      });
+    }
+
+    return record;
+  }
+};
+
+personalAccessTokenProcedures.TOKEN_PREFIX = TOKEN_PREFIX;
+personalAccessTokenProcedures.SCOPES = SCOPES;
+
+module.exports = personalAccessTokenProcedures;
@@ -0,0 +1,225 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const config = require('../config');
+
+const prisma = new PrismaClient();
+
+// Refresh tokens are handed out as "<sessionId>.<secret>"; only a hash of the secret is stored
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+// Human readable device label derived from a user agent string
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const platforms = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+  const clients = [
+    [/Expo|okhttp|CFNetwork/, 'Beven app'],
+    [/Edg\//, 'Edge'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'],
+    [/curl|PostmanRuntime|node-fetch|axios/, 'API client']
+  ];
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+  const client = clients.find(([pattern]) => pattern.test(userAgent));
+
+  if (!platform && !client) return 'Unknown device';
+  if (!platform) return client[1];
+  if (!client) return platform[1];
+  return `${client[1]} on ${platform[1]}`;
+}
+
+// Fields exposed to the session owner
+const publicSessionSelect = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  lastUsedAt: true,
+  createdAt: true,
+  expiresAt: true
+};
+
+// Only write lastUsedAt once per minute per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Rotated-away refresh token hashes kept per session to recognise a replayed token
+const MAX_PREVIOUS_HASHES = 100;
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [id, secret] = refreshToken.split('.');
+  if (!id || !secret || isNaN(parseInt(id))) return null;
+
+  return { id: parseInt(id), secret };
+}
+
+// Session stored procedures
+const sessionProcedures = {
+  // Create a new session (token family) and return its first refresh token
+  async create(sessionData) {
+    const secret = newSecret();
+
+    const session = await prisma.session.create({
+      data: {
+        userId: parseInt(sessionData.userId),
+        refreshTokenHash: hashSecret(secret),
+        deviceName: sessionData.deviceName || null,
+        userAgent: sessionData.userAgent || null,
+        ipAddress: sessionData.ipAddress || null,
+        expiresAt: refreshExpiry()
+      }
+    });
+
+    return { session, refreshToken: `${session.id}.${secret}` };
+  },
+
+  // Get session if it is still usable (not revoked, not expired)
+  async getActiveById(id) {
+    return await prisma.session.findFirst({
+      where: {
+        id: parseInt(id),
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      }
+    });
+  },
+
+  // Get active sessions for user (most recently used first)
+  async getAllForUser(userId) {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: parseInt(userId),
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: publicSessionSelect,
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    return sessions.map(session => ({
+      ...session,
+      device: session.deviceName || describeDevice(session.userAgent)
+    }));
+  },
+
+  // Record activity on a session (throttled)
+  async touch(session) {
+    if (Date.now() - new Date(session.lastUsedAt).getTime() < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { lastUsedAt: new Date() }
+    });
+  },
+
+  // Exchange a refresh token for a new one. Presenting a token that was already
+  // rotated away means it leaked, so the whole session is revoked. Any other wrong
+  // secret is just an invalid token and leaves the session alone.
+  async rotate(refreshToken, sessionData = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await this.getActiveById(parsed.id);
+    if (!session) return null;
+
+    const presentedHash = hashSecret(parsed.secret);
+    const secret = newSecret();
+
+    // Compare-and-swap on the stored hash so two concurrent refreshes cannot both win
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: presentedHash,
+        revokedAt: null
+      },
+      data: {
+        refreshTokenHash: hashSecret(secret),
+        previousTokenHashes: [...session.previousTokenHashes, presentedHash].slice(-MAX_PREVIOUS_HASHES),
+        userAgent: sessionData.userAgent || session.userAgent,
+        ipAddress: sessionData.ipAddress || session.ipAddress,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    });
+
+    if (count === 0) {
+      // Re-read: a concurrent refresh may have just rotated the presented token away
+      const current = await prisma.session.findUnique({ where: { id: session.id } });
+      if (!current || !current.previousTokenHashes.includes(presentedHash)) {
+        return null;
+      }
+
+      await this.revoke(session.id, 'reuse_detected');
+      return { session, reuseDetected: true };
+    }
+
+    return {
+      session: await prisma.session.findUnique({ where: { id: session.id } }),
+      refreshToken: `${session.id}.${secret}`
+    };
+  },
+
+  // Revoke a session
+  async revoke(id, reason = 'logout') {
+    return await prisma.session.updateMany({
+      where: { id: parseInt(id), revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+  },
+
+  // Revoke a session (with ownership check), returns false if nothing was revoked
+  async revokeForUser(id, userId, reason = 'logout') {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: parseInt(id),
+        userId: parseInt(userId),
+        revokedAt: null
+      },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count > 0;
+  },
+
+  // Revoke all of a user's sessions, optionally keeping one (the caller's own)
+  async revokeAllForUser(userId, options = {}) {
+    const where = {
+      userId: parseInt(userId),
+      revokedAt: null
+    };
+
+    if (options.exceptId) {
+      where.id = { not: parseInt(options.exceptId) };
+    }
+
+    const { count } = await prisma.session.updateMany({
+      where,
+      data: { revokedAt: new Date(), revokedReason: options.reason || 'logout' }
+    });
+
+    return count;
+  }
+};
+
+module.exports = sessionProcedures;
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const config = require('../config');
 const prisma = new PrismaClient();
 
 /**
@@ -55,6 +56,21 @@ function validateSplitData(data) {
   };
 }
 
+/**
+ * Where clause for splits owned by a household the user belongs to
+ * @param {number} userId - User ID
+ * @param {number} [householdId] - Limit to this household
+ * @returns {Object} Prisma where clause
+ */
+function householdSplitWhere(userId, householdId) {
+  return {
+    ...(householdId ? { householdId: parseInt(householdId) } : {}),
+    household: {
+      members: { some: { userId, acceptedAt: { not: null } } }
+    }
+  };
+}
+
 /**
  * Get all splits for a user with enhanced filtering
  * @param {number} userId - User ID
@@ -62,15 +78,16 @@ function validateSplitData(data) {
  * @param {number} [options.limit] - Limit results
  * @param {number} [options.offset] - Offset for pagination
  * @param {string} [options.status] - Filter by payment status
+ * @param {number} [options.householdId] - Active household: its splits plus splits the user takes part in
  * @returns {Promise<Object>} Paginated splits result
  */
 async function getAll(userId, options = {}) {
-  const { limit = 50, offset = 0, status } = options;
+  const { limit = 50, offset = 0, status, householdId } = options;
 
   // Build where clause
   const whereClause = {
     OR: [
-      { createdBy: userId },
+      householdId ? householdSplitWhere(userId, householdId) : { createdBy: userId },
       { participants: { some: { userId: userId } } }
     ]
   };
@@ -144,6 +161,7 @@ async function getById(splitId, userId) {
       id: parseInt(splitId),
       OR: [
         { createdBy: userId },
+        householdSplitWhere(userId),
         { participants: { some: { userId: userId } } }
       ]
     },
@@ -179,7 +197,7 @@ async function create(data) {
     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
   }
 
-  const { title, totalAmount, createdBy, transactionId, participants } = data;
+  const { title, totalAmount, createdBy, householdId, transactionId, participants } = data;
 
   // Check if transaction exists and belongs to user (if provided)
   if (transactionId) {
@@ -197,11 +215,18 @@ async function create(data) {
 
   // Check if participants with emails are existing users
   const participantEmails = participants.filter(p => p.email).map(p => p.email);
+  const userWhere = {
+    email: { in: participantEmails },
+    isActive: true
+  };
+
+  // Unverified accounts may not own the address, so don't link them to the split
+  if (config.emailVerification.policy !== 'none') {
+    userWhere.emailVerifiedAt = { not: null };
+  }
+
   const existingUsers = await prisma.user.findMany({
-    where: { 
-      email: { in: participantEmails },
-      isActive: true 
-    },
+    where: userWhere,
     select: { id: true, email: true, name: true }
   });
 
@@ -211,6 +236,7 @@ async function create(data) {
       title: title.trim(),
       totalAmount: parseFloat(totalAmount),
       createdBy,
+      householdId: householdId ? parseInt(householdId) : null,
       transactionId: transactionId ? parseInt(transactionId) : null,
       participants: {
         create: participants.map(participant => {
@@ -253,9 +279,10 @@ async function create(data) {
  * @param {number} splitId - Split ID
  * @param {number} participantId - Participant ID
  * @param {number} userId - User ID (for authorization)
+ * @param {number} [householdId] - Active household: its splits plus splits the user takes part in
  * @returns {Promise<Object>} Success response
  */
-async function markParticipantPaid(splitId, participantId, userId) {
+async function markParticipantPaid(splitId, participantId, userId, householdId) {
   if (!splitId || isNaN(parseInt(splitId))) {
     throw new Error('Invalid split ID');
   }
@@ -264,12 +291,12 @@ async function markParticipantPaid(splitId, participantId, userId) {
     throw new Error('Invalid participant ID');
   }
 
-  // Verify user has access to this split
+  // Verify user has access to this split (the same splits getAll lists)
   const split = await prisma.split.findFirst({
     where: {
       id: parseInt(splitId),
       OR: [
-        { createdBy: userId },
+        householdId ? householdSplitWhere(userId, householdId) : { createdBy: userId },
         { participants: { some: { userId: userId } } }
       ]
     }
@@ -309,9 +336,10 @@ async function markParticipantPaid(splitId, participantId, userId) {
  * Delete a split with enhanced validation
  * @param {number} splitId - Split ID
  * @param {number} userId - User ID (for authorization)
+ * @param {number} [householdId] - Active household: only its splits can be deleted
  * @returns {Promise<Object>} Success response
  */
-async function deleteSplit(splitId, userId) {
+async function deleteSplit(splitId, userId, householdId) {
   if (!splitId || isNaN(parseInt(splitId))) {
     throw new Error('Invalid split ID');
   }
@@ -320,7 +348,8 @@ async function deleteSplit(splitId, userId) {
   const split = await prisma.split.findFirst({
     where: {
       id: parseInt(splitId),
-      createdBy: userId
+      createdBy: userId,
+      ...(householdId ? householdSplitWhere(userId, householdId) : {})
     }
   });
 
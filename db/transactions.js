@@ -1,13 +1,48 @@
 const { PrismaClient } = require('@prisma/client');
+const { accessWhere, EDIT_ROLES } = require('./budget-members');
+const alertRuleProcedures = require('./alert-rules');
+const { getPeriod, getPeriodAt, isInPeriod } = require('../services/budget-periods');
+const { subtreeIds } = require('../services/category-tree');
 
 const prisma = new PrismaClient();
 
+// Net spending of transactions (expenses minus income)
+function netSpending(transactions) {
+  return transactions.reduce((sum, tx) => {
+    return sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount));
+  }, 0);
+}
+
+// Change from an earlier period's spending to the compared period's, with the percentage
+// (null when nothing was spent before)
+function spendingChange(spent, previousSpent) {
+  const change = Math.round((spent - previousSpent) * 100) / 100;
+
+  return {
+    change,
+    changePercent: previousSpent === 0 ? null : Math.round(change / Math.abs(previousSpent) * 1000) / 10
+  };
+}
+
+// Net spending of a category (with its budget) in the budget's current period
+async function currentSpending(client, category) {
+  const period = getPeriodAt(category.budget);
+  const transactions = await client.transaction.findMany({
+    where: {
+      categoryId: category.id,
+      date: { gte: period.startDate, lt: period.endDate }
+    }
+  });
+
+  return { period, spentAmount: netSpending(transactions) };
+}
+
 // Transaction stored procedures
 const transactionProcedures = {
-  // Get all transactions for user (with filters)
-  async getAll(userId, filters = {}) {
+  // Get all transactions on budgets the user can access (with filters, scoped to a household when given)
+  async getAll(userId, filters = {}, householdId = null) {
     const where = {
-      userId: parseInt(userId)
+      budget: accessWhere(userId, undefined, householdId)
     };
 
     if (filters.budgetId) {
@@ -43,11 +78,11 @@ const transactionProcedures = {
   },
 
   // Get transactions for specific budget
-  async getByBudgetId(budgetId, userId) {
+  async getByBudgetId(budgetId, userId, householdId = null) {
     return await prisma.transaction.findMany({
       where: {
         budgetId: parseInt(budgetId),
-        userId: parseInt(userId)
+        budget: accessWhere(userId, undefined, householdId)
       },
       include: {
         budget: true,
@@ -57,12 +92,12 @@ const transactionProcedures = {
     });
   },
 
-  // Get specific transaction (with ownership check)
-  async getById(id, userId) {
+  // Get specific transaction (with access check, scoped to a household when given)
+  async getById(id, userId, householdId = null) {
     return await prisma.transaction.findFirst({
       where: {
         id: parseInt(id),
-        userId: parseInt(userId)
+        budget: accessWhere(userId, undefined, householdId)
       },
       include: {
         budget: true,
@@ -71,8 +106,8 @@ const transactionProcedures = {
     });
   },
 
-  // Create transaction (and update category spent amount)
-  async create(transactionData) {
+  // Create transaction (and update category spent amount); `log` receives alert failures
+  async create(transactionData, log) {
     const transaction = await prisma.transaction.create({
       data: {
         budgetId: parseInt(transactionData.budgetId),
@@ -90,20 +125,20 @@ const transactionProcedures = {
     });
 
     // Update category spent amount
-    await this.updateCategorySpentAmount(transaction.categoryId);
+    await this.updateCategorySpentAmount(transaction.categoryId, log);
 
     return transaction;
   },
 
-  // Update transaction (and adjust category spent amount)
-  async update(id, userId, transactionData) {
+  // Update transaction (and adjust category spent amount); owners and editors only
+  async update(id, userId, transactionData, log) {
     const oldTransaction = await this.getById(id, userId);
     if (!oldTransaction) return null;
 
     const transaction = await prisma.transaction.update({
       where: {
         id: parseInt(id),
-        userId: parseInt(userId)
+        budget: accessWhere(userId, EDIT_ROLES)
       },
       data: {
         amount: parseFloat(transactionData.amount),
@@ -118,13 +153,13 @@ const transactionProcedures = {
     });
 
     // Update category spent amount
-    await this.updateCategorySpentAmount(transaction.categoryId);
+    await this.updateCategorySpentAmount(transaction.categoryId, log);
 
     return transaction;
   },
 
-  // Delete transaction (and adjust category spent amount)
-  async delete(id, userId) {
+  // Delete transaction (and adjust category spent amount); owners and editors only
+  async delete(id, userId, log) {
     const transaction = await this.getById(id, userId);
     if (!transaction) return null;
 
@@ -133,35 +168,148 @@ const transactionProcedures = {
     await prisma.transaction.delete({
       where: {
         id: parseInt(id),
-        userId: parseInt(userId)
+        budget: accessWhere(userId, EDIT_ROLES)
       }
     });
 
     // Update category spent amount
-    await this.updateCategorySpentAmount(categoryId);
+    await this.updateCategorySpentAmount(categoryId, log);
 
     return { success: true };
   },
 
-  // Update category spent amount based on transactions
-  async updateCategorySpentAmount(categoryId) {
-    const transactions = await prisma.transaction.findMany({
-      where: { categoryId: parseInt(categoryId) }
+  // Update category spent amount based on the transactions in the budget's current period,
+  // then check the budget's alert rules (failures go to `log`, a Fastify/pino logger)
+  async updateCategorySpentAmount(categoryId, log) {
+    const category = await prisma.category.findUnique({
+      where: { id: parseInt(categoryId) },
+      include: { budget: true }
     });
 
-    const spentAmount = transactions.reduce((sum, tx) => {
-      return sum + (tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount));
-    }, 0);
+    const { period, spentAmount } = await currentSpending(prisma, category);
 
-    return await prisma.category.update({
+    const updated = await prisma.category.update({
       where: { id: parseInt(categoryId) },
       data: { spentAmount: spentAmount }
     });
+
+    // A failing alert must not fail the transaction change that triggered it
+    try {
+      await alertRuleProcedures.evaluate(updated, category.budget, period);
+    } catch (error) {
+      if (log) log.error(error, 'Budget alert evaluation failed');
+    }
+
+    return updated;
+  },
+
+  // Recompute spent amounts of several categories without checking alerts. Pass the client of
+  // an interactive transaction to do it as part of that transaction.
+  async recomputeSpentAmounts(categoryIds, client = prisma) {
+    const categories = await client.category.findMany({
+      where: { id: { in: categoryIds.map(id => parseInt(id)) } },
+      include: { budget: true }
+    });
+
+    for (const category of categories) {
+      const { spentAmount } = await currentSpending(client, category);
+      await client.category.update({
+        where: { id: category.id },
+        data: { spentAmount }
+      });
+    }
+  },
+
+  // Spending of each category (a parent including its subcategories) in a period (by index, the
+  // current one by default) next to the `previous` periods before it, computed from the
+  // transactions themselves
+  async comparePeriods(budgetId, userId, householdId = null, options = {}) {
+    const { period: index, previous = 1 } = options;
+
+    const budget = await prisma.budget.findFirst({
+      where: {
+        id: parseInt(budgetId),
+        ...accessWhere(userId, undefined, householdId)
+      },
+      include: {
+        categories: { orderBy: { name: 'asc' } }
+      }
+    });
+
+    if (!budget) return null;
+
+    const period = index === undefined ? getPeriodAt(budget) : getPeriod(budget, parseInt(index));
+    const previousPeriods = [];
+    for (let i = period.index - 1; i >= Math.max(period.index - previous, 0); i--) {
+      previousPeriods.push(getPeriod(budget, i));
+    }
+
+    const oldest = previousPeriods.length > 0 ? previousPeriods[previousPeriods.length - 1] : period;
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        budgetId: budget.id,
+        date: { gte: oldest.startDate, lt: period.endDate }
+      },
+      select: { categoryId: true, amount: true, type: true, date: true }
+    });
+
+    const spendingIn = (window, categoryIds) => Math.round(netSpending(transactions.filter(tx => {
+      return isInPeriod(tx.date, window) && (categoryIds === undefined || categoryIds.includes(tx.categoryId));
+    })) * 100) / 100;
+
+    const compare = (categoryIds, allocated) => {
+      const spent = spendingIn(period, categoryIds);
+
+      return {
+        allocated,
+        spent,
+        percentOfAllocated: allocated > 0 ? Math.round(spent / allocated * 1000) / 10 : null,
+        previous: previousPeriods.map(window => {
+          const previousSpent = spendingIn(window, categoryIds);
+
+          return {
+            index: window.index,
+            spent: previousSpent,
+            percentOfAllocated: allocated > 0 ? Math.round(previousSpent / allocated * 1000) / 10 : null,
+            ...spendingChange(spent, previousSpent)
+          };
+        })
+      };
+    };
+
+    const subtrees = subtreeIds(budget.categories);
+    const byId = new Map(budget.categories.map(category => [category.id, category]));
+
+    const totalAllocated = budget.categories.reduce((sum, category) => {
+      return sum + parseFloat(category.allocatedAmount);
+    }, 0);
+
+    return {
+      budgetId: budget.id,
+      period: { index: period.index, startDate: period.startDate, endDate: period.endDate },
+      previousPeriods: previousPeriods.map(window => ({
+        index: window.index,
+        startDate: window.startDate,
+        endDate: window.endDate
+      })),
+      categories: budget.categories.map(category => {
+        const ids = subtrees.get(category.id);
+        const allocated = ids.reduce((sum, id) => sum + parseFloat(byId.get(id).allocatedAmount), 0);
+
+        return {
+          categoryId: category.id,
+          parentId: category.parentId,
+          name: category.name,
+          ...compare(ids, Math.round(allocated * 100) / 100)
+        };
+      }),
+      totals: compare(undefined, totalAllocated)
+    };
   },
 
   // Get transaction summary for a budget
-  async getBudgetSummary(budgetId, userId) {
-    const transactions = await this.getByBudgetId(budgetId, userId);
+  async getBudgetSummary(budgetId, userId, householdId = null) {
+    const transactions = await this.getByBudgetId(budgetId, userId, householdId);
     
     const summary = transactions.reduce((acc, tx) => {
       const amount = parseFloat(tx.amount);
@@ -0,0 +1,158 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const totp = require('../services/totp');
+
+const prisma = new PrismaClient();
+
+const RECOVERY_CODE_COUNT = 10;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Recovery codes are entered by hand, so accept any case/spacing/dashes
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+// Two-factor authentication stored procedures
+const twoFactorProcedures = {
+  // Get 2FA status for user (never exposes the secret)
+  async getStatus(userId) {
+    const [twoFactor, recoveryCodesRemaining] = await Promise.all([
+      prisma.twoFactorAuth.findUnique({
+        where: { userId: parseInt(userId) }
+      }),
+      prisma.twoFactorRecoveryCode.count({
+        where: { userId: parseInt(userId), usedAt: null }
+      })
+    ]);
+
+    return {
+      enabled: !!(twoFactor && twoFactor.enabledAt),
+      enabledAt: twoFactor ? twoFactor.enabledAt : null,
+      recoveryCodesRemaining
+    };
+  },
+
+  // Is 2FA enabled for user
+  async isEnabled(userId) {
+    const twoFactor = await prisma.twoFactorAuth.findUnique({
+      where: { userId: parseInt(userId) },
+      select: { enabledAt: true }
+    });
+
+    return !!(twoFactor && twoFactor.enabledAt);
+  },
+
+  // Start enrollment: store a new pending secret (replaces any previous pending one)
+  async setup(userId) {
+    const secret = totp.generateSecret();
+
+    await prisma.twoFactorAuth.upsert({
+      where: { userId: parseInt(userId) },
+      create: { userId: parseInt(userId), secret },
+      update: { secret, enabledAt: null, lastUsedStep: null }
+    });
+
+    return secret;
+  },
+
+  // Finish enrollment once the user proved their app works; returns fresh recovery codes
+  async enable(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.$transaction([
+      prisma.twoFactorAuth.update({
+        where: { userId: parseInt(userId) },
+        data: { enabledAt: new Date() }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({
+        where: { userId: parseInt(userId) }
+      }),
+      prisma.twoFactorRecoveryCode.createMany({
+        data: recoveryCodes.map(code => ({
+          userId: parseInt(userId),
+          codeHash: hashCode(normalizeRecoveryCode(code))
+        }))
+      })
+    ]);
+
+    return recoveryCodes;
+  },
+
+  // Turn 2FA off and drop secret and recovery codes
+  async disable(userId) {
+    await prisma.$transaction([
+      prisma.twoFactorAuth.deleteMany({
+        where: { userId: parseInt(userId) }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({
+        where: { userId: parseInt(userId) }
+      })
+    ]);
+  },
+
+  // Check a TOTP code against the user's secret. Set `pending` to check a not yet enabled secret.
+  // Each code is accepted only once.
+  async verifyTotp(userId, code, options = {}) {
+    const twoFactor = await prisma.twoFactorAuth.findUnique({
+      where: { userId: parseInt(userId) }
+    });
+
+    if (!twoFactor) return false;
+    if (!options.pending && !twoFactor.enabledAt) return false;
+
+    const step = totp.verifyCode(twoFactor.secret, code);
+    if (step === null) return false;
+
+    // Compare-and-swap on lastUsedStep so the same code cannot be used twice
+    const { count } = await prisma.twoFactorAuth.updateMany({
+      where: {
+        userId: parseInt(userId),
+        OR: [
+          { lastUsedStep: null },
+          { lastUsedStep: { lt: step } }
+        ]
+      },
+      data: { lastUsedStep: step }
+    });
+
+    return count > 0;
+  },
+
+  // Redeem a recovery code
+  async useRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: parseInt(userId),
+        codeHash: hashCode(normalized),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return count > 0;
+  },
+
+  // Accept either a TOTP code or a recovery code
+  async verifySecondFactor(userId, code) {
+    if (/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) {
+      return await this.verifyTotp(userId, code);
+    }
+
+    return await this.useRecoveryCode(userId, code);
+  }
+};
+
+module.exports = twoFactorProcedures;
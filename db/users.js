@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
+const transactionProcedures = require('./transactions');
 
 const prisma = new PrismaClient();
 
@@ -15,12 +16,95 @@ const userProcedures = {
         name: true,
         role: true,
         isActive: true,
+        emailVerifiedAt: true,
         createdAt: true,
         updatedAt: true
       }
     });
   },
 
+  // List users for admins (search by email/name, filter by role/status)
+  async search(options = {}) {
+    const { search, role, isActive, limit = 50, offset = 0 } = options;
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { email: { contains: search, mode: 'insensitive' } },
+        { name: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (role) {
+      where.role = role;
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive;
+    }
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          isActive: true,
+          emailVerifiedAt: true,
+          createdAt: true,
+          updatedAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(limit, 100), // Cap at 100
+        skip: offset
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    return {
+      users,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + users.length < total
+      }
+    };
+  },
+
+  // Usage statistics for a user (admin view)
+  async getUsageStats(id) {
+    const userId = parseInt(id);
+
+    const [budgets, transactions, splitsCreated, splitParticipations, connections, activeSessions, lastSession] = await Promise.all([
+      prisma.budget.count({ where: { userId } }),
+      prisma.transaction.count({ where: { userId } }),
+      prisma.split.count({ where: { createdBy: userId } }),
+      prisma.splitParticipant.count({ where: { userId } }),
+      prisma.connection.count({ where: { userId } }),
+      prisma.session.count({
+        where: { userId, revokedAt: null, expiresAt: { gt: new Date() } }
+      }),
+      prisma.session.findFirst({
+        where: { userId },
+        orderBy: { lastUsedAt: 'desc' },
+        select: { lastUsedAt: true }
+      })
+    ]);
+
+    return {
+      budgets,
+      transactions,
+      splitsCreated,
+      splitParticipations,
+      connections,
+      activeSessions,
+      lastSeenAt: lastSession ? lastSession.lastUsedAt : null
+    };
+  },
+
   // Get user by email (includes password for auth)
   async getByEmail(email) {
     return await prisma.user.findUnique({
@@ -45,6 +129,7 @@ const userProcedures = {
         name: true,
         role: true,
         isActive: true,
+        emailVerifiedAt: true,
         createdAt: true,
         updatedAt: true
       }
@@ -59,6 +144,12 @@ const userProcedures = {
       isActive: userData.isActive
     };
 
+    // A new email address has to be verified again
+    if (userData.email) {
+      updateData.email = userData.email.toLowerCase();
+      updateData.emailVerifiedAt = null;
+    }
+
     // Only update password if provided
     if (userData.password) {
       updateData.password = await bcrypt.hash(userData.password, 10);
@@ -73,12 +164,122 @@ const userProcedures = {
         name: true,
         role: true,
         isActive: true,
+        emailVerifiedAt: true,
         createdAt: true,
         updatedAt: true
       }
     });
   },
 
+  // Mark email address as verified
+  async markEmailVerified(id) {
+    return await prisma.user.update({
+      where: { id: parseInt(id) },
+      data: { emailVerifiedAt: new Date() },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        isActive: true,
+        emailVerifiedAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    });
+  },
+
+  // Delete account: removes everything the user owns (budgets, transactions, splits they
+  // created, ...) and anonymizes their participant rows in other users' splits. Budgets they
+  // created in a household with another owner are handed to that owner instead. Their
+  // transactions in budgets that stay go too, so those categories are recomputed.
+  // Callers check the user is not the last owner of a household with other members.
+  async deleteAccount(id) {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      select: { id: true, email: true }
+    });
+
+    if (!user) return null;
+
+    await prisma.$transaction(async (tx) => {
+      // Household budgets belong to the household: keep them with its longest-standing other owner
+      const householdBudgets = await tx.budget.findMany({
+        where: { userId: user.id, householdId: { not: null } },
+        select: { householdId: true },
+        distinct: ['householdId']
+      });
+
+      for (const { householdId } of householdBudgets) {
+        const owner = await tx.householdMember.findFirst({
+          where: {
+            householdId,
+            userId: { not: user.id },
+            role: 'owner',
+            acceptedAt: { not: null }
+          },
+          orderBy: { acceptedAt: 'asc' }
+        });
+
+        if (owner) {
+          await tx.budget.updateMany({
+            where: { userId: user.id, householdId },
+            data: { userId: owner.userId }
+          });
+        }
+      }
+
+      const sharedCategories = await tx.transaction.findMany({
+        where: {
+          userId: user.id,
+          budget: { userId: { not: user.id } }
+        },
+        select: { categoryId: true },
+        distinct: ['categoryId']
+      });
+
+      await tx.splitParticipant.updateMany({
+        where: {
+          OR: [
+            { userId: user.id },
+            { email: user.email }
+          ],
+          split: { createdBy: { not: user.id } }
+        },
+        data: {
+          name: 'Deleted user',
+          email: null,
+          userId: null,
+          isConnectedUser: false
+        }
+      });
+      await tx.split.deleteMany({
+        where: { createdBy: user.id }
+      });
+      // Other users' connections point at this account by email
+      await tx.connection.deleteMany({
+        where: { email: user.email }
+      });
+      await tx.user.delete({
+        where: { id: user.id }
+      });
+      // Households left without members (and budgets) once the account is gone
+      await tx.household.deleteMany({
+        where: {
+          members: { none: {} },
+          budgets: { none: {} }
+        }
+      });
+
+      await transactionProcedures.recomputeSpentAmounts(
+        sharedCategories.map(category => category.categoryId),
+        tx
+      );
+    });
+
+    return { success: true };
+  },
+
   // Verify password
   async verifyPassword(user, password) {
     return await bcrypt.compare(password, user.password);
@@ -101,7 +302,8 @@ const userProcedures = {
         email: 'admin@beven.com',
         password: hashedPassword,
         name: 'Admin User',
-        role: 'admin'
+        role: 'admin',
+        emailVerifiedAt: new Date()
       },
       select: {
         id: true,
@@ -109,6 +311,7 @@ const userProcedures = {
         name: true,
         role: true,
         isActive: true,
+        emailVerifiedAt: true,
         createdAt: true,
         updatedAt: true
       }
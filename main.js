@@ -1,6 +1,7 @@
 require('dotenv').config();
 const config = require('./config');
 const path = require('path');
+const crypto = require('crypto');
 const { initializeRedis } = require('./middleware/cache-redis');
 
 const isDev = config.server.environment === 'development';
@@ -13,7 +14,11 @@ const fastify = require('fastify')({
           options: { colorize: true, translateTime: 'SYS:standard' }
         }
       }
-    : { level: 'info' }
+    : { level: 'info' },
+  // Request IDs end up in the audit log: always generate them (never trust a client header)
+  // and keep them unique across restarts
+  requestIdHeader: false,
+  genReqId: () => crypto.randomUUID()
 });
 
 // Register CORS
@@ -31,6 +36,7 @@ fastify.addHook('onRequest', async (request, reply) => {
     authType,
     origin: request.headers.origin || 'none'
   }, 'Incoming request');
+  reply.header('X-Request-Id', request.id);
 });
 
 // Serve static files from /public (e.g., /public/logo.png)
@@ -51,8 +57,17 @@ fastify.register(require('@fastify/jwt'), {
 // Register routes
 fastify.register(require('./routes/auth'), { prefix: '/api' });
 fastify.register(require('./routes/budgets'), { prefix: '/api' });
+fastify.register(require('./routes/households'), { prefix: '/api' });
+fastify.register(require('./routes/budget-members'), { prefix: '/api' });
+fastify.register(require('./routes/budget-templates'), { prefix: '/api' });
 fastify.register(require('./routes/categories'), { prefix: '/api' });
+fastify.register(require('./routes/category-library'), { prefix: '/api' });
 fastify.register(require('./routes/transactions'), { prefix: '/api' });
+fastify.register(require('./routes/alert-rules'), { prefix: '/api' });
+fastify.register(require('./routes/goals'), { prefix: '/api' });
+fastify.register(require('./routes/notifications'), { prefix: '/api' });
+fastify.register(require('./routes/admin'), { prefix: '/api' });
+fastify.register(require('./routes/audit'), { prefix: '/api' });
 
 // New routes temporarily disabled for deployment testing
 // fastify.register(require('./routes/splits'), { prefix: '/api' });
@@ -76,9 +91,16 @@ fastify.get('/', async (request, reply) => {
     environment: config.server.environment,
     endpoints: {
       auth: '/api/auth',
+      households: '/api/households',
       budgets: '/api/budgets',
+      budgetTemplates: '/api/budget-templates',
       categories: '/api/categories',
+      categoryLibrary: '/api/category-library',
       transactions: '/api/transactions',
+      goals: '/api/goals',
+      notifications: '/api/notifications',
+      admin: '/api/admin',
+      audit: '/api/audit',
       splits: '/api/splits',
       connections: '/api/connections',
       health: '/health'
@@ -1,6 +1,80 @@
 const userProcedures = require('../db/users');
+const sessionProcedures = require('../db/sessions');
+const personalAccessTokenProcedures = require('../db/personal-access-tokens');
+const auditLogProcedures = require('../db/audit-log');
+const { PERMISSIONS, hasPermission } = require('../services/permissions');
+const config = require('../config');
 
-// Authentication middleware
+// Methods a read-only personal access token may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Authenticate a personal access token (scripts and integrations)
+async function authenticatePersonalAccessToken(request, reply, token) {
+  const accessToken = await personalAccessTokenProcedures.authenticate(token);
+  if (!accessToken) {
+    return reply.code(401).send({ success: false, error: 'Invalid or expired token' });
+  }
+
+  const user = await userProcedures.getById(accessToken.userId);
+  if (!user || !user.isActive) {
+    return reply.code(401).send({ success: false, error: 'Invalid or inactive user' });
+  }
+
+  if (accessToken.scope !== 'read_write' && !READ_METHODS.includes(request.method)) {
+    return reply.code(403).send({ success: false, error: 'Token does not allow write access' });
+  }
+
+  request.user = user;
+  request.authType = 'personal_access_token';
+  request.accessTokenId = accessToken.id;
+}
+
+// Authenticate an admin impersonation token: acts as the target user, bound to the admin's session
+async function authenticateImpersonation(request, reply, decoded) {
+  const session = await sessionProcedures.getActiveById(decoded.sessionId);
+  if (!session || session.userId !== decoded.impersonatorId) {
+    return reply.code(401).send({ success: false, error: 'Session has been revoked' });
+  }
+
+  const [admin, user] = await Promise.all([
+    userProcedures.getById(decoded.impersonatorId),
+    userProcedures.getById(decoded.userId)
+  ]);
+
+  if (!admin || !admin.isActive || !user || !user.isActive) {
+    return reply.code(401).send({ success: false, error: 'Invalid or inactive user' });
+  }
+
+  // The admin's role may have changed since the token was issued
+  if (!hasPermission(admin.role, PERMISSIONS.USERS_IMPERSONATE)) {
+    return reply.code(403).send({ success: false, error: 'Impersonation is no longer permitted' });
+  }
+
+  // Destructive actions are blocked unless the admin explicitly asked for write access
+  const blocked = !decoded.allowWrites && !READ_METHODS.includes(request.method);
+
+  // Every request made under impersonation is recorded, including blocked ones
+  await auditLogProcedures.record({
+    actorId: admin.id,
+    action: 'impersonation.request',
+    entityType: 'user',
+    entityId: user.id,
+    metadata: { method: request.method, url: request.url, blocked },
+    ipAddress: request.ip
+  });
+
+  if (blocked) {
+    return reply.code(403).send({ success: false, error: 'Impersonation is read-only' });
+  }
+
+  request.user = user;
+  request.authType = 'impersonation';
+  request.sessionId = session.id;
+  request.impersonator = { id: admin.id, email: admin.email, name: admin.name };
+  reply.header('X-Impersonated-By', String(admin.id));
+}
+
+// Authentication middleware (JWT access tokens and personal access tokens)
 async function authenticateToken(request, reply) {
   try {
     const authHeader = request.headers.authorization;
@@ -10,7 +84,25 @@ async function authenticateToken(request, reply) {
       return reply.code(401).send({ success: false, error: 'Access token required' });
     }
 
+    if (token.startsWith(personalAccessTokenProcedures.TOKEN_PREFIX)) {
+      return await authenticatePersonalAccessToken(request, reply, token);
+    }
+
     const decoded = request.server.jwt.verify(token);
+
+    if (decoded.type === 'impersonation') {
+      return await authenticateImpersonation(request, reply, decoded);
+    }
+
+    // Access tokens are bound to a session so they die with it
+    if (!decoded.sessionId) {
+      return reply.code(401).send({ success: false, error: 'Invalid token' });
+    }
+
+    const session = await sessionProcedures.getActiveById(decoded.sessionId);
+    if (!session || session.userId !== decoded.userId) {
+      return reply.code(401).send({ success: false, error: 'Session has been revoked' });
+    }
     
     const user = await userProcedures.getById(decoded.userId);
     
@@ -19,41 +111,96 @@ async function authenticateToken(request, reply) {
     }
 
     request.user = user;
+    request.authType = 'session';
+    request.sessionId = session.id;
+
+    await sessionProcedures.touch(session);
   } catch (error) {
     request.log.debug('Auth error:', error.message);
     return reply.code(401).send({ success: false, error: 'Invalid token' });
   }
 }
 
-// Admin role middleware
-async function requireAdmin(request, reply) {
-  try {
-    // First authenticate the user
-    await authenticateToken(request, reply);
-    
-    // Check if user is admin
-    if (!request.user || request.user.role !== 'admin') {
-      return reply.code(403).send({ success: false, error: 'Admin access required' });
-    }
-  } catch (error) {
-    return reply.code(403).send({ success: false, error: 'Admin access required' });
+// Account and credential management needs an interactive login, not a script token.
+// Use after authenticateToken.
+async function requireSession(request, reply) {
+  if (request.authType !== 'session') {
+    return reply.code(403).send({ success: false, error: 'This action requires logging in with your password' });
   }
 }
 
-// Generate JWT token
-function generateToken(request, user) {
+// Generate short-lived JWT access token for a session
+function generateToken(request, user, sessionId) {
   return request.server.jwt.sign(
     { 
       userId: user.id, 
       email: user.email, 
-      role: user.role 
+      role: user.role,
+      sessionId
     },
-    { expiresIn: '7d' }
+    { expiresIn: config.jwt.expiresIn }
   );
 }
 
+// Generate a short-lived token that acts as `user` on behalf of the admin's current session
+function generateImpersonationToken(request, user, { allowWrites = false } = {}) {
+  return request.server.jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      impersonatorId: request.user.id,
+      sessionId: request.sessionId,
+      allowWrites,
+      type: 'impersonation'
+    },
+    { expiresIn: config.jwt.impersonationExpiresIn }
+  );
+}
+
+// Generate token proving the password step of a 2FA login succeeded
+function generateChallengeToken(request, user) {
+  return request.server.jwt.sign(
+    {
+      userId: user.id,
+      type: '2fa_challenge'
+    },
+    { expiresIn: config.jwt.twoFactorChallengeExpiresIn }
+  );
+}
+
+// Verify a 2FA challenge token, returns the user ID or null
+function verifyChallengeToken(request, token) {
+  try {
+    const decoded = request.server.jwt.verify(token);
+    return decoded.type === '2fa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Start a new session and issue its access + refresh token pair
+async function issueTokens(request, user) {
+  const { session, refreshToken } = await sessionProcedures.create({
+    userId: user.id,
+    deviceName: request.body && request.body.deviceName,
+    userAgent: request.headers['user-agent'],
+    ipAddress: request.ip
+  });
+
+  return {
+    token: generateToken(request, user, session.id),
+    refreshToken,
+    expiresIn: config.jwt.expiresIn
+  };
+}
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
-  generateToken
+  requireSession,
+  generateToken,
+  generateImpersonationToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens
 };
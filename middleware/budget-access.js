@@ -0,0 +1,49 @@
+const budgetMemberProcedures = require('../db/budget-members');
+const budgetProcedures = require('../db/budgets');
+
+const FORBIDDEN_ERROR = 'Your role on this budget does not allow this action';
+const ARCHIVED_ERROR = 'This budget is archived; unarchive it to make changes';
+
+/**
+ * preHandler factory for /budgets/:id/... routes: requires one of the given roles on the
+ * budget (404 without any access, 403 with the wrong role). Use after authenticateToken
+ * and resolveHousehold. Sets request.budgetRole.
+ * @param {...string} roles - Allowed roles (owner, editor, viewer)
+ * @returns {Function} preHandler
+ */
+function requireBudgetRole(...roles) {
+  return async function(request, reply) {
+    const role = await budgetMemberProcedures.getRole(
+      request.params.id,
+      request.user.id,
+      request.householdId
+    );
+
+    if (!role) {
+      return reply.code(404).send({ success: false, error: 'Budget not found' });
+    }
+
+    if (!roles.includes(role)) {
+      return reply.code(403).send({ success: false, error: FORBIDDEN_ERROR });
+    }
+
+    request.budgetRole = role;
+  };
+}
+
+/**
+ * preHandler for changes under /budgets/:id/...: archived budgets are read-only (409).
+ * Use after requireBudgetRole.
+ */
+async function requireActiveBudget(request, reply) {
+  if (await budgetProcedures.isArchived(request.params.id)) {
+    return reply.code(409).send({ success: false, error: ARCHIVED_ERROR });
+  }
+}
+
+module.exports = {
+  FORBIDDEN_ERROR,
+  ARCHIVED_ERROR,
+  requireBudgetRole,
+  requireActiveBudget
+};
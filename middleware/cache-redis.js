@@ -180,23 +180,23 @@ function cacheMiddleware(options = {}) {
     const endpoint = options.endpoint || request.routerPath;
     const ttl = options.ttl || 600; // Default 10 minutes
 
+    // Responses differ per active household, so it is part of the key
+    const params = {
+      ...request.query,
+      ...request.params,
+      ...(request.householdId ? { householdId: request.householdId } : {})
+    };
+
     // Generate cache key
     let cacheKey;
     if (options.keyGenerator) {
       cacheKey = options.keyGenerator(request);
     } else {
-      const params = {
-        ...request.query,
-        ...request.params
-      };
       cacheKey = generateCacheKey(userId, endpoint, params);
     }
 
     // Try to get from cache
-    const cachedData = await getCachedData(userId, endpoint, {
-      ...request.query,
-      ...request.params
-    });
+    const cachedData = await getCachedData(userId, endpoint, params);
     
     if (cachedData) {
       request.log.info(`Cache hit for user ${userId} (${request.user?.email || 'unknown'}) on ${endpoint}`);
@@ -211,16 +211,99 @@ function cacheMiddleware(options = {}) {
       // Only cache successful responses
       if (reply.statusCode >= 200 && reply.statusCode < 300) {
         request.log.info(`Caching response for user ${userId} (${request.user?.email || 'unknown'}) on ${endpoint}`);
-        await setCachedData(userId, endpoint, data, {
-          ...request.query,
-          ...request.params
-        }, ttl);
+        await setCachedData(userId, endpoint, data, params, ttl);
       }
       return originalSend(data);
     };
   };
 }
 
+/**
+ * Get a value stored under a raw (non user-scoped) key
+ * @param {string} key - Cache key
+ * @returns {Promise<any|null>} Stored value or null
+ */
+async function getValue(key) {
+  if (redisClient && redisClient.isOpen) {
+    try {
+      const data = await redisClient.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.log('Redis get error, falling back to in-memory:', error.message);
+      return fallbackCache.get(key) ?? null;
+    }
+  } else {
+    return fallbackCache.get(key) ?? null;
+  }
+}
+
+/**
+ * Store a value under a raw (non user-scoped) key
+ * @param {string} key - Cache key
+ * @param {any} value - Value to store
+ * @param {number} ttl - Time to live in seconds
+ */
+async function setValue(key, value, ttl) {
+  if (redisClient && redisClient.isOpen) {
+    try {
+      await redisClient.setEx(key, ttl, JSON.stringify(value));
+    } catch (error) {
+      console.log('Redis set error, falling back to in-memory:', error.message);
+      fallbackCache.set(key, value, ttl);
+    }
+  } else {
+    fallbackCache.set(key, value, ttl);
+  }
+}
+
+/**
+ * Delete raw keys
+ * @param {...string} keys - Cache keys
+ */
+async function deleteValues(...keys) {
+  if (redisClient && redisClient.isOpen) {
+    try {
+      await redisClient.del(keys);
+    } catch (error) {
+      console.log('Redis del error, falling back to in-memory:', error.message);
+      fallbackCache.del(keys);
+    }
+  } else {
+    fallbackCache.del(keys);
+  }
+}
+
+/**
+ * Increment a counter; the TTL starts when the counter is created
+ * @param {string} key - Counter key
+ * @param {number} ttl - Time to live in seconds
+ * @returns {Promise<number>} New counter value
+ */
+async function incrementCounter(key, ttl) {
+  if (redisClient && redisClient.isOpen) {
+    try {
+      const count = await redisClient.incr(key);
+      if (count === 1) {
+        await redisClient.expire(key, ttl);
+      }
+      return count;
+    } catch (error) {
+      console.log('Redis incr error, falling back to in-memory:', error.message);
+    }
+  }
+
+  const count = (fallbackCache.get(key) || 0) + 1;
+  if (count === 1) {
+    fallbackCache.set(key, count, ttl);
+  } else {
+    // Keep the original expiry window
+    const expiresAt = fallbackCache.getTtl(key);
+    const remaining = expiresAt ? Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000)) : ttl;
+    fallbackCache.set(key, count, remaining);
+  }
+  return count;
+}
+
 /**
  * Clear all cache
  */
@@ -299,6 +382,10 @@ module.exports = {
   setCachedData,
   invalidateUserCache,
   cacheMiddleware,
+  getValue,
+  setValue,
+  deleteValues,
+  incrementCounter,
   clearAllCache,
   getCacheStats,
   getAllCacheKeys,
@@ -0,0 +1,25 @@
+const householdProcedures = require('../db/households');
+
+/**
+ * preHandler: picks the active household for the request from the X-Household-Id header,
+ * falling back to the user's default household. Use after authenticateToken.
+ * Sets request.householdId and request.householdRole.
+ */
+async function resolveHousehold(request, reply) {
+  const requested = request.headers['x-household-id'];
+
+  const membership = requested
+    ? await householdProcedures.getMembership(requested, request.user.id)
+    : await householdProcedures.getDefaultForUser(request.user.id);
+
+  if (!membership) {
+    return reply.code(404).send({ success: false, error: 'Household not found' });
+  }
+
+  request.householdId = membership.householdId;
+  request.householdRole = membership.role;
+}
+
+module.exports = {
+  resolveHousehold
+};
@@ -0,0 +1,156 @@
+const config = require('../config');
+const { getValue, setValue, deleteValues, incrementCounter } = require('./cache-redis');
+
+// Failed-login tracking and temporary lockouts, stored in Redis (or the in-memory fallback)
+
+function accountKey(email) {
+  return `auth:login:fail:account:${String(email).toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `auth:login:fail:ip:${ip}`;
+}
+
+function accountLockKey(email) {
+  return `auth:login:lock:account:${String(email).toLowerCase()}`;
+}
+
+function ipLockKey(ip) {
+  return `auth:login:lock:ip:${ip}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before answering the next attempt: doubles with each failure, capped
+ * @param {number} failures - Failures so far in the current window
+ * @returns {number} Delay in milliseconds
+ */
+function progressiveDelay(failures) {
+  const { baseDelayMs, maxDelayMs } = config.loginProtection;
+  if (failures <= 0) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - 1), maxDelayMs);
+}
+
+/**
+ * Get active lockout for an email and/or IP
+ * @param {string} email - Login email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} { code, error, retryAfter } or null if not locked
+ */
+async function getLockout(email, ip) {
+  const [accountLock, ipLock] = await Promise.all([
+    email ? getValue(accountLockKey(email)) : null,
+    ip ? getValue(ipLockKey(ip)) : null
+  ]);
+
+  const retryAfter = (lock) => Math.max(1, Math.ceil((lock.until - Date.now()) / 1000));
+
+  if (accountLock) {
+    return {
+      code: 'ACCOUNT_LOCKED',
+      error: 'Too many failed login attempts, account temporarily locked',
+      retryAfter: retryAfter(accountLock)
+    };
+  }
+
+  if (ipLock) {
+    return {
+      code: 'TOO_MANY_ATTEMPTS',
+      error: 'Too many failed login attempts from this address',
+      retryAfter: retryAfter(ipLock)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Record a failed attempt and lock the account/IP when a limit is reached
+ * @param {string} email - Login email
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} { accountFailures, ipFailures, locked }
+ */
+async function recordFailedLogin(email, ip) {
+  const { windowSeconds, lockoutSeconds, maxAccountFailures, maxIpFailures } = config.loginProtection;
+  const lock = { until: Date.now() + lockoutSeconds * 1000 };
+
+  const [accountFailures, ipFailures] = await Promise.all([
+    email ? incrementCounter(accountKey(email), windowSeconds) : 0,
+    ip ? incrementCounter(ipKey(ip), windowSeconds) : 0
+  ]);
+
+  let locked = false;
+
+  if (email && accountFailures >= maxAccountFailures) {
+    await setValue(accountLockKey(email), lock, lockoutSeconds);
+    await deleteValues(accountKey(email));
+    locked = true;
+  }
+
+  if (ip && ipFailures >= maxIpFailures) {
+    await setValue(ipLockKey(ip), lock, lockoutSeconds);
+    await deleteValues(ipKey(ip));
+    locked = true;
+  }
+
+  return { accountFailures, ipFailures, locked };
+}
+
+/**
+ * Forget failed attempts for an account after a successful login
+ * @param {string} email - Login email
+ */
+async function clearFailedLogins(email) {
+  await deleteValues(accountKey(email));
+}
+
+/**
+ * Lift lockout and failure counters (admin unlock)
+ * @param {Object} target - What to unlock
+ * @param {string} [target.email] - Account email
+ * @param {string} [target.ip] - Client IP
+ */
+async function unlockLogin({ email, ip } = {}) {
+  const keys = [];
+  if (email) keys.push(accountKey(email), accountLockKey(email));
+  if (ip) keys.push(ipKey(ip), ipLockKey(ip));
+  if (keys.length > 0) {
+    await deleteValues(...keys);
+  }
+}
+
+/**
+ * preHandler for login-like routes: rejects locked accounts/IPs and slows
+ * down repeated failures. Reads the email from the request body.
+ */
+async function loginProtection(request, reply) {
+  const email = request.body && request.body.email;
+  const lockout = await getLockout(email, request.ip);
+
+  if (lockout) {
+    reply.header('Retry-After', lockout.retryAfter);
+    return reply.code(429).send({ success: false, ...lockout });
+  }
+
+  const [accountFailures, ipFailures] = await Promise.all([
+    email ? getValue(accountKey(email)) : 0,
+    getValue(ipKey(request.ip))
+  ]);
+
+  const delay = progressiveDelay(Math.max(accountFailures || 0, ipFailures || 0));
+  if (delay > 0) {
+    await sleep(delay);
+  }
+}
+
+module.exports = {
+  progressiveDelay,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockLogin,
+  loginProtection
+};
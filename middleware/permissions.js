@@ -0,0 +1,36 @@
+const { authenticateToken, requireSession } = require('./auth');
+const { PERMISSIONS, ROLES, getPermissions, hasPermission } = require('../services/permissions');
+
+/**
+ * preHandler factory: authenticates the request and requires all given permissions.
+ * Only interactive logins qualify: a personal access token or impersonation token carries its
+ * user's role but must not unlock staff routes without the password (and 2FA) login.
+ * @param {...string} permissions - Required permission names
+ * @returns {Function} preHandler
+ */
+function requirePermission(...permissions) {
+  return async function(request, reply) {
+    await authenticateToken(request, reply);
+    if (reply.sent) return;
+
+    await requireSession(request, reply);
+    if (reply.sent) return;
+
+    const missing = permissions.filter(permission => !hasPermission(request.user.role, permission));
+    if (missing.length > 0) {
+      return reply.code(403).send({
+        success: false,
+        error: 'Insufficient permissions',
+        missingPermissions: missing
+      });
+    }
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission,
+  requirePermission
+};
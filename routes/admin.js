@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const userProcedures = require('../db/users');
+const sessionProcedures = require('../db/sessions');
+const oneTimeTokenProcedures = require('../db/one-time-tokens');
+const auditLogProcedures = require('../db/audit-log');
+const budgetProcedures = require('../db/budgets');
+const { generateImpersonationToken } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS, ROLES, getPermissions, hasPermission } = require('../middleware/permissions');
+const { unlockLogin } = require('../middleware/login-protection');
+const { invalidateUserCache, getCacheStats, clearAllCache } = require('../middleware/cache-redis');
+const { sendPasswordResetEmail } = require('../services/mailer');
+const config = require('../config');
+
+const userIdParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Admin routes
+async function adminRoutes(fastify, options) {
+  // GET /admin/users - Paginated user list with search
+  fastify.get('/admin/users', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_READ)],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+          search: { type: 'string', minLength: 1 },
+          role: { type: 'string', enum: ROLES },
+          isActive: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await userProcedures.search(request.query);
+      return { success: true, data: result.users, pagination: result.pagination };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch users' };
+    }
+  });
+
+  // GET /admin/users/:id - User details with usage statistics
+  fastify.get('/admin/users/:id', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_READ)],
+    schema: { params: userIdParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const user = await userProcedures.getById(id);
+
+      if (!user) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      const stats = await userProcedures.getUsageStats(id);
+
+      return { success: true, data: { user, stats } };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch user' };
+    }
+  });
+
+  // PATCH /admin/users/:id/status - Activate or deactivate a user
+  fastify.patch('/admin/users/:id/status', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_WRITE)],
+    schema: {
+      params: userIdParams,
+      body: {
+        type: 'object',
+        required: ['isActive'],
+        properties: {
+          isActive: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { isActive } = request.body;
+
+      if (id === request.user.id && !isActive) {
+        reply.code(400);
+        return { success: false, error: 'You cannot deactivate your own account' };
+      }
+
+      const existingUser = await userProcedures.getById(id);
+      if (!existingUser) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = await userProcedures.update(id, { isActive });
+
+      // Deactivated users are logged out everywhere
+      if (!isActive) {
+        await sessionProcedures.revokeAllForUser(id, { reason: 'deactivated' });
+        invalidateUserCache(id);
+      }
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: isActive ? 'admin.user.activate' : 'admin.user.deactivate',
+        entityType: 'user',
+        entityId: id,
+        before: { isActive: existingUser.isActive },
+        after: { isActive }
+      });
+
+      return {
+        success: true,
+        data: user,
+        message: isActive ? 'User activated' : 'User deactivated'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update user status' };
+    }
+  });
+
+  // PATCH /admin/users/:id/role - Change a user's role (user, support, admin)
+  fastify.patch('/admin/users/:id/role', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_WRITE)],
+    schema: {
+      params: userIdParams,
+      body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: ROLES }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { role } = request.body;
+
+      if (id === request.user.id && role !== request.user.role) {
+        reply.code(400);
+        return { success: false, error: 'You cannot change your own role' };
+      }
+
+      const existingUser = await userProcedures.getById(id);
+      if (!existingUser) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      const user = await userProcedures.update(id, { role });
+
+      // Permissions follow the new role on the next request; a demotion also logs the user out
+      // so sessions opened with the old permissions do not linger
+      const lostPermissions = getPermissions(existingUser.role)
+        .filter(permission => !hasPermission(role, permission));
+      if (lostPermissions.length > 0) {
+        await sessionProcedures.revokeAllForUser(id, { reason: 'role_change' });
+      }
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.user.role_change',
+        entityType: 'user',
+        entityId: id,
+        before: { role: existingUser.role },
+        after: { role }
+      });
+
+      return { success: true, data: user, message: 'User role updated' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update user role' };
+    }
+  });
+
+  // POST /admin/users/:id/password-reset - Invalidate the password and email a reset link
+  fastify.post('/admin/users/:id/password-reset', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_WRITE)],
+    schema: { params: userIdParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const user = await userProcedures.getById(id);
+
+      if (!user) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      // Replace the password with an unguessable one so only the reset link gets the user back in
+      await userProcedures.update(id, { password: crypto.randomBytes(32).toString('hex') });
+      await sessionProcedures.revokeAllForUser(id, { reason: 'forced_password_reset' });
+
+      const token = await oneTimeTokenProcedures.create(
+        id,
+        'password_reset',
+        config.tokens.passwordResetTtlMinutes
+      );
+
+      // The password is already gone, so a mail failure must not hide that from the admin
+      let emailSent = true;
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (mailError) {
+        emailSent = false;
+        fastify.log.error(mailError, 'Failed to send password reset email');
+      }
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.user.force_password_reset',
+        entityType: 'user',
+        entityId: id,
+        metadata: { emailSent }
+      });
+
+      return {
+        success: true,
+        data: { emailSent },
+        message: emailSent
+          ? 'Password reset email sent and sessions revoked'
+          : 'Sessions revoked, but the password reset email could not be sent; the user can request a new one with /auth/password/forgot'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to force password reset' };
+    }
+  });
+
+  // DELETE /admin/users/:id/sessions - Log a user out everywhere
+  fastify.delete('/admin/users/:id/sessions', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_SESSIONS_REVOKE)],
+    schema: { params: userIdParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const user = await userProcedures.getById(id);
+
+      if (!user) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      const revoked = await sessionProcedures.revokeAllForUser(id, { reason: 'admin_revoked' });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.user.revoke_sessions',
+        entityType: 'user',
+        entityId: id,
+        metadata: { revoked }
+      });
+
+      return { success: true, data: { revoked }, message: 'Sessions revoked' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to revoke sessions' };
+    }
+  });
+
+  // POST /admin/users/:id/unlock - Lift a login lockout (optionally also for an IP)
+  fastify.post('/admin/users/:id/unlock', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_WRITE)],
+    schema: { params: userIdParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { ip } = request.body || {};
+
+      const user = await userProcedures.getById(id);
+      if (!user) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      await unlockLogin({ email: user.email, ip });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.user.unlock',
+        entityType: 'user',
+        entityId: id,
+        metadata: ip ? { ip } : undefined
+      });
+
+      return { success: true, message: 'Login lockout cleared' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to unlock user' };
+    }
+  });
+
+  // POST /admin/users/:id/impersonate - Get a short-lived token that acts as the user
+  fastify.post('/admin/users/:id/impersonate', {
+    preHandler: [requirePermission(PERMISSIONS.USERS_IMPERSONATE)],
+    schema: {
+      params: userIdParams,
+      body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+          reason: { type: 'string', minLength: 1, maxLength: 500 },
+          allowWrites: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { reason, allowWrites } = request.body;
+
+      if (id === request.user.id) {
+        reply.code(400);
+        return { success: false, error: 'You cannot impersonate yourself' };
+      }
+
+      const user = await userProcedures.getById(id);
+      if (!user) {
+        reply.code(404);
+        return { success: false, error: 'User not found' };
+      }
+
+      if (!user.isActive) {
+        reply.code(400);
+        return { success: false, error: 'Cannot impersonate an inactive user' };
+      }
+
+      // Staff accounts carry extra permissions, never hand those out through impersonation
+      if (user.role !== 'user') {
+        reply.code(403);
+        return { success: false, error: 'Only regular users can be impersonated' };
+      }
+
+      const token = generateImpersonationToken(request, user, { allowWrites });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.user.impersonate',
+        entityType: 'user',
+        entityId: id,
+        metadata: { reason, allowWrites }
+      });
+
+      return {
+        success: true,
+        data: {
+          token,
+          expiresIn: config.jwt.impersonationExpiresIn,
+          impersonation: {
+            userId: user.id,
+            impersonatorId: request.user.id,
+            allowWrites
+          }
+        },
+        message: `Impersonating ${user.email}`
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to start impersonation' };
+    }
+  });
+
+  // GET /admin/users/:id/budgets - View a user's budgets (read-only)
+  fastify.get('/admin/users/:id/budgets', {
+    preHandler: [requirePermission(PERMISSIONS.BUDGETS_READ_ANY)],
+    schema: { params: userIdParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const budgets = await budgetProcedures.getAll(id);
+      return { success: true, data: budgets };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch budgets' };
+    }
+  });
+
+  // GET /admin/cache - Cache statistics
+  fastify.get('/admin/cache', {
+    preHandler: [requirePermission(PERMISSIONS.CACHE_READ)]
+  }, async (request, reply) => {
+    try {
+      const stats = await getCacheStats();
+      return { success: true, data: stats };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch cache statistics' };
+    }
+  });
+
+  // DELETE /admin/cache - Flush the whole cache
+  fastify.delete('/admin/cache', {
+    preHandler: [requirePermission(PERMISSIONS.CACHE_FLUSH)]
+  }, async (request, reply) => {
+    try {
+      await clearAllCache();
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'admin.cache.flush',
+        entityType: 'cache'
+      });
+
+      return { success: true, message: 'Cache flushed' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to flush cache' };
+    }
+  });
+}
+
+module.exports = adminRoutes;
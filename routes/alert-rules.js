@@ -0,0 +1,146 @@
+const alertRuleProcedures = require('../db/alert-rules');
+const budgetMemberProcedures = require('../db/budget-members');
+const categoryProcedures = require('../db/categories');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { requireBudgetRole, requireActiveBudget } = require('../middleware/budget-access');
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Budget alert rule routes
+async function alertRuleRoutes(fastify, options) {
+  // GET /budgets/:id/alert-rules - Alert rules of a budget (defaults apply to the budget and to
+  // each category without rules of their own)
+  fastify.get('/budgets/:id/alert-rules', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole(...budgetMemberProcedures.ROLES)],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const rules = await alertRuleProcedures.getAll(request.params.id);
+      return {
+        success: true,
+        data: {
+          rules,
+          usingDefaults: rules.length === 0,
+          defaults: alertRuleProcedures.DEFAULT_THRESHOLDS
+        }
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch alert rules' };
+    }
+  });
+
+  // POST /budgets/:id/alert-rules - Add a threshold for the budget or one of its categories
+  // (owners and editors)
+  fastify.post('/budgets/:id/alert-rules', {
+    preHandler: [
+      authenticateToken,
+      resolveHousehold,
+      requireBudgetRole(...budgetMemberProcedures.EDIT_ROLES),
+      requireActiveBudget
+    ],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        required: ['thresholdPercent'],
+        properties: {
+          categoryId: { type: 'integer', minimum: 1 }, // Leave out for the whole budget
+          thresholdPercent: { type: 'integer', minimum: 1, maximum: 1000 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { categoryId, thresholdPercent } = request.body;
+
+      if (categoryId) {
+        const category = await categoryProcedures.getById(categoryId, request.user.id, request.householdId);
+        if (!category || category.budgetId !== id) {
+          reply.code(400);
+          return { success: false, error: 'Category does not belong to this budget' };
+        }
+      }
+
+      const rule = await alertRuleProcedures.create({
+        budgetId: id,
+        categoryId,
+        thresholdPercent,
+        createdById: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'alert_rule.create',
+        entityType: 'alert_rule',
+        after: rule
+      });
+
+      reply.code(201);
+      return { success: true, data: rule, message: 'Alert rule created successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create alert rule' };
+    }
+  });
+
+  // DELETE /budgets/:id/alert-rules/:ruleId - Remove a rule (owners and editors)
+  fastify.delete('/budgets/:id/alert-rules/:ruleId', {
+    preHandler: [
+      authenticateToken,
+      resolveHousehold,
+      requireBudgetRole(...budgetMemberProcedures.EDIT_ROLES),
+      requireActiveBudget
+    ],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          ruleId: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, ruleId } = request.params;
+
+      const existingRule = await alertRuleProcedures.getById(ruleId, id);
+      if (!existingRule) {
+        reply.code(404);
+        return { success: false, error: 'Alert rule not found' };
+      }
+
+      await alertRuleProcedures.delete(ruleId, id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'alert_rule.delete',
+        entityType: 'alert_rule',
+        before: existingRule
+      });
+
+      return { success: true, message: 'Alert rule deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Alert rule not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to delete alert rule' };
+    }
+  });
+}
+
+module.exports = alertRuleRoutes;
@@ -0,0 +1,62 @@
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+
+const auditFilters = {
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  offset: { type: 'integer', minimum: 0, default: 0 },
+  entityType: { type: 'string', minLength: 1 },
+  entityId: { type: 'integer', minimum: 1 },
+  action: { type: 'string', minLength: 1 }, // Prefix match, e.g. "budget." for all budget changes
+  requestId: { type: 'string', minLength: 1 },
+  from: { type: 'string', format: 'date-time' },
+  to: { type: 'string', format: 'date-time' }
+};
+
+// Audit log routes
+async function auditRoutes(fastify, options) {
+  // GET /audit - The current user's own history
+  fastify.get('/audit', {
+    preHandler: [authenticateToken],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: auditFilters
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await auditLogProcedures.getForUser(request.user.id, request.query);
+      return { success: true, data: result.entries, pagination: result.pagination };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch audit log' };
+    }
+  });
+
+  // GET /admin/audit - Query the audit log across all users
+  fastify.get('/admin/audit', {
+    preHandler: [requirePermission(PERMISSIONS.AUDIT_READ)],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          ...auditFilters,
+          actorId: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await auditLogProcedures.search(request.query);
+      return { success: true, data: result.entries, pagination: result.pagination };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch audit log' };
+    }
+  });
+}
+
+module.exports = auditRoutes;
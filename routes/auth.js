@@ -1,8 +1,65 @@
 const userProcedures = require('../db/users');
-const { authenticateToken, generateToken } = require('../middleware/auth');
+const sessionProcedures = require('../db/sessions');
+const oneTimeTokenProcedures = require('../db/one-time-tokens');
+const twoFactorProcedures = require('../db/two-factor');
+const personalAccessTokenProcedures = require('../db/personal-access-tokens');
+const householdProcedures = require('../db/households');
+const auditLogProcedures = require('../db/audit-log');
+const { buildOtpauthUrl } = require('../services/totp');
+const {
+  loginProtection,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../middleware/login-protection');
+const { getPermissions } = require('../middleware/permissions');
+const { invalidateUserCache } = require('../middleware/cache-redis');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mailer');
+const config = require('../config');
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const {
+  authenticateToken,
+  requireSession,
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens
+} = require('../middleware/auth');
 
 // Auth routes
 async function authRoutes(fastify, options) {
+  // Issue a fresh verification token and email it (mail failures are logged, not fatal)
+  async function sendVerification(user) {
+    const token = await oneTimeTokenProcedures.create(
+      user.id,
+      'email_verification',
+      config.tokens.emailVerificationTtlMinutes
+    );
+
+    try {
+      await sendVerificationEmail(user, token);
+    } catch (mailError) {
+      fastify.log.error(mailError, 'Failed to send verification email');
+    }
+  }
+
+  // Count a failed login attempt; answers with the lockout once a limit is hit
+  async function rejectLogin(request, reply, email, error) {
+    const { locked } = await recordFailedLogin(email, request.ip);
+
+    if (locked) {
+      const lockout = await getLockout(email, request.ip);
+      reply.header('Retry-After', lockout.retryAfter);
+      reply.code(429);
+      return { success: false, ...lockout };
+    }
+
+    reply.code(401);
+    return { success: false, error };
+  }
+
   // POST /auth/register - User registration
   fastify.post('/auth/register', async (request, reply) => {
     try {
@@ -14,6 +71,11 @@ async function authRoutes(fastify, options) {
         return { success: false, error: 'Email, password, and name are required' };
       }
 
+      if (!EMAIL_PATTERN.test(email)) {
+        reply.code(400);
+        return { success: false, error: 'Invalid email format' };
+      }
+
       // Check if user already exists
       const existingUser = await userProcedures.getByEmail(email);
       if (existingUser) {
@@ -26,13 +88,34 @@ async function authRoutes(fastify, options) {
         password,
         name
       });
-      
-      const token = generateToken(request, user);
-      
+
+      // Every account starts with a personal household for its budgets
+      await householdProcedures.createPersonal(user);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'user.create',
+        entityType: 'user',
+        after: user
+      });
+
+      await sendVerification(user);
+
       reply.code(201);
+
+      // Accounts must be verified before they can log in
+      if (config.emailVerification.policy === 'required') {
+        return {
+          success: true,
+          data: { user },
+          message: 'User created successfully, check your email to verify your account'
+        };
+      }
+
+      const tokens = await issueTokens(request, user);
+      
       return { 
         success: true, 
-        data: { user, token },
+        data: { user, ...tokens },
         message: 'User created successfully' 
       };
     } catch (error) {
@@ -43,7 +126,9 @@ async function authRoutes(fastify, options) {
   });
 
   // POST /auth/login - User login
-  fastify.post('/auth/login', async (request, reply) => {
+  fastify.post('/auth/login', {
+    preHandler: [loginProtection]
+  }, async (request, reply) => {
     try {
       const { email, password } = request.body;
       
@@ -55,14 +140,12 @@ async function authRoutes(fastify, options) {
 
       const user = await userProcedures.getByEmail(email);
       if (!user) {
-        reply.code(401);
-        return { success: false, error: 'Invalid credentials' };
+        return await rejectLogin(request, reply, email, 'Invalid credentials');
       }
 
       const isValidPassword = await userProcedures.verifyPassword(user, password);
       if (!isValidPassword) {
-        reply.code(401);
-        return { success: false, error: 'Invalid credentials' };
+        return await rejectLogin(request, reply, email, 'Invalid credentials');
       }
 
       if (!user.isActive) {
@@ -70,14 +153,33 @@ async function authRoutes(fastify, options) {
         return { success: false, error: 'Account is deactivated' };
       }
 
-      const token = generateToken(request, user);
+      if (config.emailVerification.policy === 'required' && !user.emailVerifiedAt) {
+        reply.code(403);
+        return { success: false, error: 'Email address not verified', code: 'EMAIL_NOT_VERIFIED' };
+      }
+
+      // Second factor required: hand out a challenge instead of tokens
+      if (await twoFactorProcedures.isEnabled(user.id)) {
+        return {
+          success: true,
+          data: {
+            twoFactorRequired: true,
+            challengeToken: generateChallengeToken(request, user)
+          },
+          message: 'Two-factor authentication code required'
+        };
+      }
+
+      await clearFailedLogins(email);
+      await householdProcedures.adoptLegacyData(user.id);
+      const tokens = await issueTokens(request, user);
       
       // Return user without password
       const { password: _, ...userWithoutPassword } = user;
       
       return { 
         success: true, 
-        data: { user: userWithoutPassword, token },
+        data: { user: userWithoutPassword, ...tokens },
         message: 'Login successful' 
       };
     } catch (error) {
@@ -87,6 +189,247 @@ async function authRoutes(fastify, options) {
     }
   });
 
+  // POST /auth/2fa/verify - Complete a 2FA login with a TOTP or recovery code
+  fastify.post('/auth/2fa/verify', {
+    preHandler: [loginProtection]
+  }, async (request, reply) => {
+    try {
+      const { challengeToken, code } = request.body || {};
+
+      if (!challengeToken || !code) {
+        reply.code(400);
+        return { success: false, error: 'Challenge token and code are required' };
+      }
+
+      const userId = verifyChallengeToken(request, challengeToken);
+      if (!userId) {
+        reply.code(401);
+        return { success: false, error: 'Invalid or expired challenge token' };
+      }
+
+      const user = await userProcedures.getById(userId);
+      if (!user || !user.isActive) {
+        reply.code(401);
+        return { success: false, error: 'Invalid or inactive user' };
+      }
+
+      // Code guesses count against the same account limit as passwords
+      const lockout = await getLockout(user.email, request.ip);
+      if (lockout) {
+        reply.header('Retry-After', lockout.retryAfter);
+        reply.code(429);
+        return { success: false, ...lockout };
+      }
+
+      const isValidCode = await twoFactorProcedures.verifySecondFactor(userId, code);
+      if (!isValidCode) {
+        return await rejectLogin(request, reply, user.email, 'Invalid two-factor code');
+      }
+
+      await clearFailedLogins(user.email);
+      await householdProcedures.adoptLegacyData(user.id);
+      const tokens = await issueTokens(request, user);
+
+      return {
+        success: true,
+        data: { user, ...tokens },
+        message: 'Login successful'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to verify two-factor code' };
+    }
+  });
+
+  // POST /auth/refresh - Rotate refresh token and issue a new access token
+  fastify.post('/auth/refresh', async (request, reply) => {
+    try {
+      const { refreshToken } = request.body || {};
+
+      if (!refreshToken) {
+        reply.code(400);
+        return { success: false, error: 'Refresh token is required' };
+      }
+
+      const result = await sessionProcedures.rotate(refreshToken, {
+        userAgent: request.headers['user-agent'],
+        ipAddress: request.ip
+      });
+
+      if (!result) {
+        reply.code(401);
+        return { success: false, error: 'Invalid refresh token' };
+      }
+
+      if (result.reuseDetected) {
+        fastify.log.warn({ sessionId: result.session.id, userId: result.session.userId }, 'Refresh token reuse detected, session revoked');
+        reply.code(401);
+        return { success: false, error: 'Refresh token reuse detected, please log in again' };
+      }
+
+      const user = await userProcedures.getById(result.session.userId);
+      if (!user || !user.isActive) {
+        await sessionProcedures.revoke(result.session.id, 'user_inactive');
+        reply.code(401);
+        return { success: false, error: 'Invalid or inactive user' };
+      }
+
+      return {
+        success: true,
+        data: {
+          token: generateToken(request, user, result.session.id),
+          refreshToken: result.refreshToken,
+          expiresIn: config.jwt.expiresIn
+        }
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to refresh token' };
+    }
+  });
+
+  // POST /auth/verify-email - Confirm email address with a verification token
+  fastify.post('/auth/verify-email', async (request, reply) => {
+    try {
+      const { token } = request.body || {};
+
+      if (!token) {
+        reply.code(400);
+        return { success: false, error: 'Token is required' };
+      }
+
+      const verificationToken = await oneTimeTokenProcedures.consume(token, 'email_verification');
+      if (!verificationToken) {
+        reply.code(400);
+        return { success: false, error: 'Invalid or expired verification token' };
+      }
+
+      const user = await userProcedures.markEmailVerified(verificationToken.userId);
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.verify_email',
+        entityType: 'user',
+        entityId: user.id
+      });
+
+      return { success: true, data: { user }, message: 'Email verified successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to verify email' };
+    }
+  });
+
+  // POST /auth/verify-email/resend - Send a new verification email
+  fastify.post('/auth/verify-email/resend', async (request, reply) => {
+    try {
+      const { email } = request.body || {};
+
+      if (!email) {
+        reply.code(400);
+        return { success: false, error: 'Email is required' };
+      }
+
+      const user = await userProcedures.getByEmail(email);
+
+      // Same response whether or not the account exists, so emails cannot be probed
+      if (user && user.isActive && !user.emailVerifiedAt) {
+        await sendVerification(user);
+      }
+
+      return {
+        success: true,
+        message: 'If an unverified account exists for that email, a verification link has been sent'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to resend verification email' };
+    }
+  });
+
+  // POST /auth/password/forgot - Email a password reset link
+  fastify.post('/auth/password/forgot', async (request, reply) => {
+    try {
+      const { email } = request.body || {};
+
+      if (!email) {
+        reply.code(400);
+        return { success: false, error: 'Email is required' };
+      }
+
+      const user = await userProcedures.getByEmail(email);
+
+      // Same response whether or not the account exists, so emails cannot be probed
+      if (user && user.isActive) {
+        const token = await oneTimeTokenProcedures.create(
+          user.id,
+          'password_reset',
+          config.tokens.passwordResetTtlMinutes
+        );
+
+        try {
+          await sendPasswordResetEmail(user, token);
+        } catch (mailError) {
+          fastify.log.error(mailError, 'Failed to send password reset email');
+        }
+      }
+
+      return {
+        success: true,
+        message: 'If an account exists for that email, a reset link has been sent'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to request password reset' };
+    }
+  });
+
+  // POST /auth/password/reset - Set a new password using a reset token
+  fastify.post('/auth/password/reset', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { token, password } = request.body;
+
+      const resetToken = await oneTimeTokenProcedures.consume(token, 'password_reset');
+      if (!resetToken) {
+        reply.code(400);
+        return { success: false, error: 'Invalid or expired reset token' };
+      }
+
+      await userProcedures.update(resetToken.userId, { password });
+
+      // Whoever had the old password should not stay logged in
+      const revokedSessions = await sessionProcedures.revokeAllForUser(resetToken.userId, { reason: 'password_reset' });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.password_reset',
+        entityType: 'user',
+        entityId: resetToken.userId,
+        metadata: { revokedSessions }
+      });
+
+      return { success: true, message: 'Password has been reset, please log in again' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to reset password' };
+    }
+  });
+
   // GET /auth/me - Get current user
   fastify.get('/auth/me', {
     preHandler: [authenticateToken]
@@ -94,7 +437,11 @@ async function authRoutes(fastify, options) {
     try {
       return { 
         success: true, 
-        data: { user: request.user } 
+        data: {
+          user: request.user,
+          permissions: getPermissions(request.user.role),
+          impersonatedBy: request.impersonator || null
+        }
       };
     } catch (error) {
       fastify.log.error(error);
@@ -102,6 +449,513 @@ async function authRoutes(fastify, options) {
       return { success: false, error: 'Failed to get user info' };
     }
   });
+
+  // PATCH /auth/me - Update profile (changing email requires the password and re-verification)
+  fastify.patch('/auth/me', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { name, email, password } = request.body || {};
+
+      if (name === undefined && email === undefined) {
+        reply.code(400);
+        return { success: false, error: 'Name or email is required' };
+      }
+
+      if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+        reply.code(400);
+        return { success: false, error: 'Name must be a non-empty string' };
+      }
+
+      const emailChanged = email !== undefined && String(email).toLowerCase() !== request.user.email;
+
+      if (emailChanged) {
+        if (!EMAIL_PATTERN.test(email)) {
+          reply.code(400);
+          return { success: false, error: 'Invalid email format' };
+        }
+
+        if (!password) {
+          reply.code(400);
+          return { success: false, error: 'Password is required to change email' };
+        }
+
+        const currentUser = await userProcedures.getByEmail(request.user.email);
+        const isValidPassword = await userProcedures.verifyPassword(currentUser, password);
+        if (!isValidPassword) {
+          reply.code(401);
+          return { success: false, error: 'Invalid password' };
+        }
+
+        const existingUser = await userProcedures.getByEmail(email);
+        if (existingUser) {
+          reply.code(409);
+          return { success: false, error: 'Email is already in use' };
+        }
+      }
+
+      const user = await userProcedures.update(request.user.id, {
+        name: name !== undefined ? name.trim() : undefined,
+        email: emailChanged ? email : undefined
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'user.update',
+        entityType: 'user',
+        before: request.user,
+        after: user
+      });
+
+      if (emailChanged) {
+        await sendVerification(user);
+      }
+
+      return {
+        success: true,
+        data: { user },
+        message: emailChanged
+          ? 'Profile updated, check your new email address to verify it'
+          : 'Profile updated successfully'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update profile' };
+    }
+  });
+
+  // POST /auth/me/password - Change password (logs out all other sessions)
+  fastify.post('/auth/me/password', {
+    preHandler: [authenticateToken, requireSession],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: { type: 'string', minLength: 1 },
+          newPassword: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { currentPassword, newPassword } = request.body;
+
+      const currentUser = await userProcedures.getByEmail(request.user.email);
+      const isValidPassword = await userProcedures.verifyPassword(currentUser, currentPassword);
+      if (!isValidPassword) {
+        reply.code(401);
+        return { success: false, error: 'Current password is incorrect' };
+      }
+
+      await userProcedures.update(request.user.id, { password: newPassword });
+
+      const revokedSessions = await sessionProcedures.revokeAllForUser(request.user.id, {
+        exceptId: request.sessionId,
+        reason: 'password_change'
+      });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.password_change',
+        entityType: 'user',
+        entityId: request.user.id,
+        metadata: { revokedSessions }
+      });
+
+      return {
+        success: true,
+        data: { revokedSessions },
+        message: 'Password changed successfully'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to change password' };
+    }
+  });
+
+  // DELETE /auth/me - Permanently delete account (requires password and confirm: "DELETE")
+  fastify.delete('/auth/me', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { password, confirm } = request.body || {};
+
+      if (!password || confirm !== 'DELETE') {
+        reply.code(400);
+        return { success: false, error: 'Password and confirm: "DELETE" are required' };
+      }
+
+      const currentUser = await userProcedures.getByEmail(request.user.email);
+      const isValidPassword = await userProcedures.verifyPassword(currentUser, password);
+      if (!isValidPassword) {
+        reply.code(401);
+        return { success: false, error: 'Invalid password' };
+      }
+
+      const soleOwned = await householdProcedures.getSoleOwnedWithMembers(request.user.id);
+      if (soleOwned.length > 0) {
+        reply.code(409);
+        return {
+          success: false,
+          error: 'Make another member an owner of your shared households first',
+          data: { households: soleOwned }
+        };
+      }
+
+      // Recorded first: the entry can only name the user as actor while the account exists
+      // (the actor is cleared on deletion, the entity ID stays)
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.delete',
+        entityType: 'user',
+        entityId: request.user.id
+      });
+
+      await userProcedures.deleteAccount(request.user.id);
+      invalidateUserCache(request.user.id);
+
+      return { success: true, message: 'Account deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to delete account' };
+    }
+  });
+
+  // GET /auth/2fa - Two-factor authentication status
+  fastify.get('/auth/2fa', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const status = await twoFactorProcedures.getStatus(request.user.id);
+      return { success: true, data: status };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to get two-factor status' };
+    }
+  });
+
+  // POST /auth/2fa/setup - Generate a TOTP secret to add to an authenticator app
+  fastify.post('/auth/2fa/setup', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      if (await twoFactorProcedures.isEnabled(request.user.id)) {
+        reply.code(409);
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+      }
+
+      const secret = await twoFactorProcedures.setup(request.user.id);
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.two_factor.setup',
+        entityType: 'user',
+        entityId: request.user.id
+      });
+
+      return {
+        success: true,
+        data: {
+          secret,
+          otpauthUrl: buildOtpauthUrl(secret, request.user.email)
+        },
+        message: 'Scan the code with your authenticator app, then confirm with /auth/2fa/enable'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to set up two-factor authentication' };
+    }
+  });
+
+  // POST /auth/2fa/enable - Confirm setup with a code from the app, returns recovery codes
+  fastify.post('/auth/2fa/enable', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { code } = request.body || {};
+
+      if (!code) {
+        reply.code(400);
+        return { success: false, error: 'Code is required' };
+      }
+
+      if (await twoFactorProcedures.isEnabled(request.user.id)) {
+        reply.code(409);
+        return { success: false, error: 'Two-factor authentication is already enabled' };
+      }
+
+      const isValidCode = await twoFactorProcedures.verifyTotp(request.user.id, code, { pending: true });
+      if (!isValidCode) {
+        reply.code(400);
+        return { success: false, error: 'Invalid code, run setup first or check your device clock' };
+      }
+
+      const recoveryCodes = await twoFactorProcedures.enable(request.user.id);
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.two_factor.enable',
+        entityType: 'user',
+        entityId: request.user.id
+      });
+
+      return {
+        success: true,
+        data: { recoveryCodes },
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to enable two-factor authentication' };
+    }
+  });
+
+  // POST /auth/2fa/disable - Turn off 2FA (requires password and a current code)
+  fastify.post('/auth/2fa/disable', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { password, code } = request.body || {};
+
+      if (!password || !code) {
+        reply.code(400);
+        return { success: false, error: 'Password and code are required' };
+      }
+
+      const user = await userProcedures.getByEmail(request.user.email);
+      const isValidPassword = await userProcedures.verifyPassword(user, password);
+      if (!isValidPassword) {
+        reply.code(401);
+        return { success: false, error: 'Invalid password' };
+      }
+
+      const isValidCode = await twoFactorProcedures.verifySecondFactor(request.user.id, code);
+      if (!isValidCode) {
+        reply.code(401);
+        return { success: false, error: 'Invalid two-factor code' };
+      }
+
+      await twoFactorProcedures.disable(request.user.id);
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'user.two_factor.disable',
+        entityType: 'user',
+        entityId: request.user.id
+      });
+
+      return { success: true, message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to disable two-factor authentication' };
+    }
+  });
+
+  // GET /auth/sessions - List active sessions (logged-in devices)
+  fastify.get('/auth/sessions', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const sessions = await sessionProcedures.getAllForUser(request.user.id);
+
+      return {
+        success: true,
+        data: sessions.map(session => ({
+          ...session,
+          current: session.id === request.sessionId
+        }))
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch sessions' };
+    }
+  });
+
+  // DELETE /auth/sessions - Log out everywhere else (keeps the current session)
+  fastify.delete('/auth/sessions', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const revoked = await sessionProcedures.revokeAllForUser(request.user.id, {
+        exceptId: request.sessionId
+      });
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'session.revoke_others',
+        entityType: 'session',
+        metadata: { revoked }
+      });
+
+      return { success: true, data: { revoked }, message: 'Other sessions logged out' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to revoke sessions' };
+    }
+  });
+
+  // DELETE /auth/sessions/:id - Revoke a specific session
+  fastify.delete('/auth/sessions/:id', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const revoked = await sessionProcedures.revokeForUser(id, request.user.id);
+
+      if (!revoked) {
+        reply.code(404);
+        return { success: false, error: 'Session not found' };
+      }
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'session.revoke',
+        entityType: 'session',
+        entityId: id
+      });
+
+      return { success: true, message: 'Session revoked successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to revoke session' };
+    }
+  });
+
+  // GET /auth/tokens - List personal access tokens
+  fastify.get('/auth/tokens', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const tokens = await personalAccessTokenProcedures.getAllForUser(request.user.id);
+      return { success: true, data: tokens };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch tokens' };
+    }
+  });
+
+  // POST /auth/tokens - Create a personal access token (the token is only shown once)
+  fastify.post('/auth/tokens', {
+    preHandler: [authenticateToken, requireSession],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          scope: { type: 'string', enum: personalAccessTokenProcedures.SCOPES, default: 'read' },
+          expiresInDays: { type: 'integer', minimum: 1, maximum: 365 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { name, scope, expiresInDays } = request.body;
+
+      const { token, record } = await personalAccessTokenProcedures.create({
+        userId: request.user.id,
+        name: name.trim(),
+        scope,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+      });
+
+      // The record never holds the token or its hash
+      await auditLogProcedures.recordChange(request, {
+        action: 'personal_access_token.create',
+        entityType: 'personal_access_token',
+        after: record
+      });
+
+      reply.code(201);
+      return {
+        success: true,
+        data: { ...record, token },
+        message: 'Token created. Copy it now, it will not be shown again'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create token' };
+    }
+  });
+
+  // PATCH /auth/tokens/:id - Rename a personal access token
+  fastify.patch('/auth/tokens/:id', {
+    preHandler: [authenticateToken, requireSession],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const existingToken = await personalAccessTokenProcedures.getById(id, request.user.id);
+      if (!existingToken) {
+        reply.code(404);
+        return { success: false, error: 'Token not found' };
+      }
+
+      const token = await personalAccessTokenProcedures.update(id, request.user.id, {
+        name: request.body.name.trim()
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'personal_access_token.update',
+        entityType: 'personal_access_token',
+        before: existingToken,
+        after: token
+      });
+
+      return { success: true, data: token, message: 'Token updated successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Token not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to update token' };
+    }
+  });
+
+  // DELETE /auth/tokens/:id - Revoke a personal access token
+  fastify.delete('/auth/tokens/:id', {
+    preHandler: [authenticateToken, requireSession]
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const token = await personalAccessTokenProcedures.delete(id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'personal_access_token.delete',
+        entityType: 'personal_access_token',
+        before: token
+      });
+
+      return { success: true, message: 'Token revoked successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Token not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to revoke token' };
+    }
+  });
 }
 
 module.exports = authRoutes;
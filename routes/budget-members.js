@@ -0,0 +1,259 @@
+const budgetMemberProcedures = require('../db/budget-members');
+const connectionProcedures = require('../db/connections');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { requireBudgetRole } = require('../middleware/budget-access');
+const { invalidateUserCache } = require('../middleware/cache-redis');
+
+const memberParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    memberId: { type: 'integer', minimum: 1 }
+  }
+};
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Budget membership and invitation routes
+async function budgetMemberRoutes(fastify, options) {
+  // GET /budgets/:id/members - Creator, members and pending invitations
+  fastify.get('/budgets/:id/members', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole(...budgetMemberProcedures.ROLES)],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const members = await budgetMemberProcedures.getAll(request.params.id);
+      return { success: true, data: members };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch budget members' };
+    }
+  });
+
+  // POST /budgets/:id/members - Invite one of your connections (owners only)
+  fastify.post('/budgets/:id/members', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner')],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        required: ['connectionId', 'role'],
+        properties: {
+          connectionId: { type: 'integer', minimum: 1 },
+          role: { type: 'string', enum: budgetMemberProcedures.ROLES }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { connectionId, role } = request.body;
+
+      const connection = await connectionProcedures.getById(connectionId, request.user.id);
+      if (!connection) {
+        reply.code(404);
+        return { success: false, error: 'Connection not found' };
+      }
+
+      if (!connection.connectedTo) {
+        reply.code(400);
+        return { success: false, error: 'This connection does not have an account yet' };
+      }
+
+      if (await budgetMemberProcedures.getRole(id, connection.connectedTo.id) === 'owner') {
+        reply.code(409);
+        return { success: false, error: 'User already has access to this budget' };
+      }
+
+      const member = await budgetMemberProcedures.invite({
+        budgetId: id,
+        userId: connection.connectedTo.id,
+        role,
+        invitedById: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.member.invite',
+        entityType: 'budget_member',
+        after: member,
+        metadata: { connectionId }
+      });
+
+      reply.code(201);
+      return { success: true, data: member, message: 'Invitation sent' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2002') {
+        reply.code(409);
+        return { success: false, error: 'User is already a member or invited' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to invite member' };
+    }
+  });
+
+  // PATCH /budgets/:id/members/:memberId - Change a member's role (owners only)
+  fastify.patch('/budgets/:id/members/:memberId', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner')],
+    schema: {
+      params: memberParams,
+      body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: budgetMemberProcedures.ROLES }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, memberId } = request.params;
+      const { role } = request.body;
+
+      const existingMember = await budgetMemberProcedures.getById(memberId, id);
+      if (!existingMember) {
+        reply.code(404);
+        return { success: false, error: 'Member not found' };
+      }
+
+      const member = await budgetMemberProcedures.updateRole(memberId, id, role);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.member.role_change',
+        entityType: 'budget_member',
+        before: existingMember,
+        after: member
+      });
+
+      invalidateUserCache(member.userId, 'budget');
+
+      return { success: true, data: member, message: 'Member role updated' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update member role' };
+    }
+  });
+
+  // DELETE /budgets/:id/members/:memberId - Remove a member or withdraw an invitation
+  // (owners), or leave a shared budget (the member themselves)
+  fastify.delete('/budgets/:id/members/:memberId', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole(...budgetMemberProcedures.ROLES)],
+    schema: { params: memberParams }
+  }, async (request, reply) => {
+    try {
+      const { id, memberId } = request.params;
+
+      const existingMember = await budgetMemberProcedures.getById(memberId, id);
+      if (!existingMember) {
+        reply.code(404);
+        return { success: false, error: 'Member not found' };
+      }
+
+      const leaving = existingMember.userId === request.user.id;
+      if (!leaving && request.budgetRole !== 'owner') {
+        reply.code(403);
+        return { success: false, error: 'Only owners can remove other members' };
+      }
+
+      await budgetMemberProcedures.delete(memberId, id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: leaving ? 'budget.member.leave' : 'budget.member.remove',
+        entityType: 'budget_member',
+        before: existingMember
+      });
+
+      invalidateUserCache(existingMember.userId, 'budget');
+
+      return { success: true, message: leaving ? 'You left the budget' : 'Member removed' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to remove member' };
+    }
+  });
+
+  // GET /budget-invitations - Pending invitations for the current user
+  fastify.get('/budget-invitations', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      const invitations = await budgetMemberProcedures.getInvitationsForUser(request.user.id);
+      return { success: true, data: invitations };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch invitations' };
+    }
+  });
+
+  // POST /budget-invitations/:id/accept - Join a shared budget
+  fastify.post('/budget-invitations/:id/accept', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const member = await budgetMemberProcedures.acceptInvitation(request.params.id, request.user.id);
+
+      if (!member) {
+        reply.code(404);
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.member.accept',
+        entityType: 'budget_member',
+        before: { ...member, acceptedAt: null },
+        after: member
+      });
+
+      invalidateUserCache(request.user.id, 'budget');
+
+      return { success: true, data: member, message: 'Invitation accepted' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to accept invitation' };
+    }
+  });
+
+  // DELETE /budget-invitations/:id - Decline an invitation
+  fastify.delete('/budget-invitations/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const invitation = await budgetMemberProcedures.declineInvitation(request.params.id, request.user.id);
+
+      if (!invitation) {
+        reply.code(404);
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.member.decline',
+        entityType: 'budget_member',
+        before: invitation
+      });
+
+      return { success: true, message: 'Invitation declined' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to decline invitation' };
+    }
+  });
+}
+
+module.exports = budgetMemberRoutes;
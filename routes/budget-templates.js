@@ -0,0 +1,303 @@
+const budgetTemplateProcedures = require('../db/budget-templates');
+const budgetProcedures = require('../db/budgets');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { invalidateUserCache } = require('../middleware/cache-redis');
+const { PERIODS, ROLLOVER_POLICIES } = require('../services/budget-periods');
+
+const templateParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 } // Saved template ID or built-in template key
+  }
+};
+
+const categoriesSchema = {
+  type: 'array',
+  maxItems: 100,
+  items: {
+    type: 'object',
+    required: ['name', 'allocatedAmount'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      allocatedAmount: { type: 'number', minimum: 0 },
+      rolloverPolicy: { type: 'string', enum: ROLLOVER_POLICIES, default: 'none' },
+      rolloverCap: { type: ['number', 'null'], minimum: 0, default: null },
+      parent: { type: ['string', 'null'], maxLength: 100, default: null }, // Name of another category in the list
+      libraryCategoryId: { type: ['integer', 'null'], minimum: 1, default: null }
+    }
+  }
+};
+
+const templateBody = {
+  type: 'object',
+  required: ['name', 'amount', 'period', 'categories'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    amount: { type: 'number', minimum: 0 },
+    period: { type: 'string', enum: PERIODS },
+    categories: categoriesSchema
+  }
+};
+
+// A cap policy needs a cap and a parent must be another category of the list; returns an
+// error message or null
+function validateCategories(categories) {
+  const missingCap = categories.find(category => category.rolloverPolicy === 'cap' && category.rolloverCap === null);
+  if (missingCap) {
+    return `rolloverCap is required with the cap policy (${missingCap.name})`;
+  }
+
+  const orphan = categories.find(category => category.parent && (category.parent === category.name ||
+    !categories.some(other => other.name === category.parent)));
+  return orphan ? `Parent category not found in the template (${orphan.name})` : null;
+}
+
+// Budget template routes
+async function budgetTemplateRoutes(fastify, options) {
+  // Saved template of the current user; sends 400/404 and returns null for built-in or unknown templates
+  async function findOwnTemplate(request, reply) {
+    const template = await budgetTemplateProcedures.getById(request.params.id, request.user.id);
+
+    if (!template) {
+      reply.code(404).send({ success: false, error: 'Template not found' });
+      return null;
+    }
+
+    if (template.builtIn) {
+      reply.code(400).send({ success: false, error: 'Built-in templates cannot be changed' });
+      return null;
+    }
+
+    return template;
+  }
+
+  // GET /budget-templates - Built-in templates and your saved templates
+  fastify.get('/budget-templates', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      const templates = await budgetTemplateProcedures.getAll(request.user.id);
+      return { success: true, data: templates };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch templates' };
+    }
+  });
+
+  // GET /budget-templates/:id - Get specific template
+  fastify.get('/budget-templates/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: templateParams }
+  }, async (request, reply) => {
+    try {
+      const template = await budgetTemplateProcedures.getById(request.params.id, request.user.id);
+
+      if (!template) {
+        reply.code(404);
+        return { success: false, error: 'Template not found' };
+      }
+
+      return { success: true, data: template };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch template' };
+    }
+  });
+
+  // POST /budget-templates - Save a template, either from the body or from an existing budget (budgetId)
+  fastify.post('/budget-templates', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          ...templateBody.properties,
+          budgetId: { type: 'integer', minimum: 1 } // Copy the layout of this budget instead
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      let templateData = request.body;
+
+      if (request.body.budgetId) {
+        const budget = await budgetProcedures.getById(request.body.budgetId, request.user.id, request.householdId);
+        if (!budget) {
+          reply.code(404);
+          return { success: false, error: 'Budget not found' };
+        }
+
+        templateData = {
+          name: request.body.name,
+          description: request.body.description,
+          amount: budget.amount,
+          period: budget.period,
+          categories: budget.categories
+        };
+      } else {
+        if (templateData.amount === undefined || !templateData.period || !templateData.categories) {
+          reply.code(400);
+          return { success: false, error: 'Either budgetId or amount, period and categories are required' };
+        }
+
+        const categoryError = validateCategories(templateData.categories);
+        if (categoryError) {
+          reply.code(400);
+          return { success: false, error: categoryError };
+        }
+      }
+
+      const template = await budgetTemplateProcedures.create({
+        ...templateData,
+        userId: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget_template.create',
+        entityType: 'budget_template',
+        after: template,
+        metadata: request.body.budgetId ? { budgetId: request.body.budgetId } : {}
+      });
+
+      reply.code(201);
+      return { success: true, data: template, message: 'Template created successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create template' };
+    }
+  });
+
+  // PUT /budget-templates/:id - Update one of your templates
+  fastify.put('/budget-templates/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: templateParams, body: templateBody }
+  }, async (request, reply) => {
+    try {
+      const existingTemplate = await findOwnTemplate(request, reply);
+      if (!existingTemplate) return reply;
+
+      const categoryError = validateCategories(request.body.categories);
+      if (categoryError) {
+        reply.code(400);
+        return { success: false, error: categoryError };
+      }
+
+      const template = await budgetTemplateProcedures.update(existingTemplate.id, request.user.id, request.body);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget_template.update',
+        entityType: 'budget_template',
+        before: existingTemplate,
+        after: template
+      });
+
+      return { success: true, data: template, message: 'Template updated successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Template not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to update template' };
+    }
+  });
+
+  // DELETE /budget-templates/:id - Delete one of your templates
+  fastify.delete('/budget-templates/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: templateParams }
+  }, async (request, reply) => {
+    try {
+      const existingTemplate = await findOwnTemplate(request, reply);
+      if (!existingTemplate) return reply;
+
+      await budgetTemplateProcedures.delete(existingTemplate.id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget_template.delete',
+        entityType: 'budget_template',
+        before: existingTemplate
+      });
+
+      return { success: true, message: 'Template deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Template not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to delete template' };
+    }
+  });
+
+  // POST /budget-templates/:id/budgets - Create a budget from a template. Allocations are
+  // scaled when a different amount is given.
+  fastify.post('/budget-templates/:id/budgets', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      params: templateParams,
+      body: {
+        type: 'object',
+        required: ['startDate'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          amount: { type: 'number', exclusiveMinimum: 0 },
+          startDate: { type: 'string', format: 'date' },
+          endDate: { type: 'string', format: 'date' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const template = await budgetTemplateProcedures.getById(request.params.id, request.user.id);
+      if (!template) {
+        reply.code(404);
+        return { success: false, error: 'Template not found' };
+      }
+
+      const { name, amount, startDate, endDate } = request.body;
+
+      const budget = await budgetProcedures.create({
+        userId: request.user.id,
+        householdId: request.householdId,
+        name: name || template.name,
+        amount: amount === undefined ? template.amount : amount,
+        period: template.period,
+        startDate,
+        endDate,
+        categories: budgetTemplateProcedures.scaleCategories(template, amount)
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.create',
+        entityType: 'budget',
+        after: budget,
+        metadata: { templateId: String(template.id) }
+      });
+
+      invalidateUserCache(request.user.id, 'budgets');
+
+      reply.code(201);
+      return { success: true, data: budget, message: 'Budget created from template' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create budget from template' };
+    }
+  });
+}
+
+module.exports = budgetTemplateRoutes;
@@ -1,15 +1,43 @@
 const budgetProcedures = require('../db/budgets');
+const budgetMemberProcedures = require('../db/budget-members');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { requireBudgetRole, requireActiveBudget } = require('../middleware/budget-access');
 const { cacheMiddleware, invalidateUserCache } = require('../middleware/cache-redis');
+const auditLogProcedures = require('../db/audit-log');
+const categoryProcedures = require('../db/categories');
+const { PERIODS } = require('../services/budget-periods');
+const {
+  ALLOCATION_POLICIES,
+  summarizeAllocations,
+  overAllocationWarning
+} = require('../services/allocations');
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
 
 // Budget routes
 async function budgetRoutes(fastify, options) {
-  // GET /budgets - Get all budgets for user
+  // GET /budgets - Get all budgets the user owns or is a member of (archived ones with ?includeArchived=true)
   fastify.get('/budgets', {
-    preHandler: [authenticateToken, cacheMiddleware({ endpoint: 'budgets', ttl: 300 })]
+    preHandler: [authenticateToken, resolveHousehold, cacheMiddleware({ endpoint: 'budgets', ttl: 300 })],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          includeArchived: { type: 'boolean', default: false }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
-      const budgets = await budgetProcedures.getAll(request.user.id);
+      const budgets = await budgetProcedures.getAll(request.user.id, request.householdId, {
+        includeArchived: request.query.includeArchived
+      });
       return { success: true, data: budgets };
     } catch (error) {
       fastify.log.error(error);
@@ -20,11 +48,11 @@ async function budgetRoutes(fastify, options) {
 
   // GET /budgets/:id - Get specific budget
   fastify.get('/budgets/:id', {
-    preHandler: [authenticateToken, cacheMiddleware({ endpoint: 'budget', ttl: 300 })]
+    preHandler: [authenticateToken, resolveHousehold, cacheMiddleware({ endpoint: 'budget', ttl: 300 })]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const budget = await budgetProcedures.getById(id, request.user.id);
+      const budget = await budgetProcedures.getById(id, request.user.id, request.householdId);
       
       if (!budget) {
         reply.code(404);
@@ -41,10 +69,10 @@ async function budgetRoutes(fastify, options) {
 
   // POST /budgets - Create new budget
   fastify.post('/budgets', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
-      const { name, amount, period, startDate, endDate } = request.body;
+      const { name, amount, period, startDate, endDate, allocationPolicy } = request.body;
       
       // Basic validation
       if (!name || !amount || !period || !startDate) {
@@ -52,13 +80,31 @@ async function budgetRoutes(fastify, options) {
         return { success: false, error: 'Name, amount, period, and startDate are required' };
       }
 
+      if (!PERIODS.includes(period)) {
+        reply.code(400);
+        return { success: false, error: `Period must be one of: ${PERIODS.join(', ')}` };
+      }
+
+      if (allocationPolicy !== undefined && !ALLOCATION_POLICIES.includes(allocationPolicy)) {
+        reply.code(400);
+        return { success: false, error: `allocationPolicy must be one of: ${ALLOCATION_POLICIES.join(', ')}` };
+      }
+
       const budget = await budgetProcedures.create({
         userId: request.user.id,
+        householdId: request.householdId,
         name,
         amount,
         period,
         startDate,
-        endDate
+        endDate,
+        allocationPolicy
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.create',
+        entityType: 'budget',
+        after: budget
       });
       
       // Invalidate user's budget cache
@@ -73,13 +119,13 @@ async function budgetRoutes(fastify, options) {
     }
   });
 
-  // PUT /budgets/:id - Update budget
+  // PUT /budgets/:id - Update budget (owners only)
   fastify.put('/budgets/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner'), requireActiveBudget]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { name, amount, period, startDate, endDate } = request.body;
+      const { name, amount, period, startDate, endDate, allocationPolicy } = request.body;
       
       // Basic validation
       if (!name || !amount || !period || !startDate) {
@@ -87,19 +133,59 @@ async function budgetRoutes(fastify, options) {
         return { success: false, error: 'Name, amount, period, and startDate are required' };
       }
 
+      if (!PERIODS.includes(period)) {
+        reply.code(400);
+        return { success: false, error: `Period must be one of: ${PERIODS.join(', ')}` };
+      }
+
+      if (allocationPolicy !== undefined && !ALLOCATION_POLICIES.includes(allocationPolicy)) {
+        reply.code(400);
+        return { success: false, error: `allocationPolicy must be one of: ${ALLOCATION_POLICIES.join(', ')}` };
+      }
+
+      const existingBudget = await budgetProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingBudget) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      // Lowering the amount can leave the categories over-allocated
+      const allocation = summarizeAllocations(amount, existingBudget.categories.map(category => category.allocatedAmount));
+      const policy = allocationPolicy || existingBudget.allocationPolicy;
+      if (allocation.overAllocated && policy === 'reject') {
+        reply.code(400);
+        return { success: false, error: overAllocationWarning(allocation), data: allocation };
+      }
+
       const budget = await budgetProcedures.update(id, request.user.id, {
         name,
         amount,
         period,
         startDate,
-        endDate
+        endDate,
+        allocationPolicy
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.update',
+        entityType: 'budget',
+        before: existingBudget,
+        after: budget
       });
       
-      // Invalidate user's budget cache
-      invalidateUserCache(request.user.id, 'budgets');
-      invalidateUserCache(request.user.id, 'budget');
+      // Invalidate the budget cache of everyone sharing it
+      const userIds = await budgetMemberProcedures.getUserIds(id);
+      userIds.forEach(userId => {
+        invalidateUserCache(userId, 'budgets');
+        invalidateUserCache(userId, 'budget');
+      });
       
-      return { success: true, data: budget, message: 'Budget updated successfully' };
+      return {
+        success: true,
+        data: budget,
+        message: 'Budget updated successfully',
+        warnings: allocation.overAllocated && policy === 'warn' ? [overAllocationWarning(allocation)] : []
+      };
     } catch (error) {
       fastify.log.error(error);
       
@@ -113,17 +199,34 @@ async function budgetRoutes(fastify, options) {
     }
   });
 
-  // DELETE /budgets/:id - Delete budget
+  // DELETE /budgets/:id - Delete budget (owners only)
   fastify.delete('/budgets/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner')]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
+      const existingBudget = await budgetProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingBudget) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      // Memberships go with the budget, so collect who to invalidate first
+      const userIds = await budgetMemberProcedures.getUserIds(id);
+
       await budgetProcedures.delete(id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.delete',
+        entityType: 'budget',
+        before: existingBudget
+      });
       
-      // Invalidate user's budget cache
-      invalidateUserCache(request.user.id, 'budgets');
-      invalidateUserCache(request.user.id, 'budget');
+      // Invalidate the budget cache of everyone sharing it
+      userIds.forEach(userId => {
+        invalidateUserCache(userId, 'budgets');
+        invalidateUserCache(userId, 'budget');
+      });
       
       return { success: true, message: 'Budget deleted successfully' };
     } catch (error) {
@@ -139,13 +242,184 @@ async function budgetRoutes(fastify, options) {
     }
   });
 
-  // GET /budgets/:id/summary - Get budget summary
+  // Archive or restore a budget for the archive/unarchive routes
+  async function setArchived(request, reply, archived) {
+    const { id } = request.params;
+    const existingBudget = await budgetProcedures.getById(id, request.user.id, request.householdId);
+    if (!existingBudget) {
+      reply.code(404);
+      return { success: false, error: 'Budget not found' };
+    }
+
+    if (Boolean(existingBudget.archivedAt) === archived) {
+      reply.code(409);
+      return { success: false, error: archived ? 'Budget is already archived' : 'Budget is not archived' };
+    }
+
+    const budget = await budgetProcedures.setArchived(id, request.user.id, archived);
+
+    await auditLogProcedures.recordChange(request, {
+      action: archived ? 'budget.archive' : 'budget.unarchive',
+      entityType: 'budget',
+      before: existingBudget,
+      after: budget
+    });
+
+    // Invalidate the budget cache of everyone sharing it
+    const userIds = await budgetMemberProcedures.getUserIds(id);
+    userIds.forEach(userId => {
+      invalidateUserCache(userId, 'budgets');
+      invalidateUserCache(userId, 'budget');
+    });
+
+    return { success: true, data: budget, message: archived ? 'Budget archived' : 'Budget restored' };
+  }
+
+  // POST /budgets/:id/archive - Hide a budget from lists and make it read-only (owners only)
+  fastify.post('/budgets/:id/archive', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner')],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      return await setArchived(request, reply, true);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to archive budget' };
+    }
+  });
+
+  // POST /budgets/:id/unarchive - Restore an archived budget (owners only)
+  fastify.post('/budgets/:id/unarchive', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole('owner')],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      return await setArchived(request, reply, false);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to unarchive budget' };
+    }
+  });
+
+  // POST /budgets/:id/clone - Copy a budget and its categories (not its transactions) into
+  // the active household. A new startDate shifts endDate by the same amount.
+  fastify.post('/budgets/:id/clone', {
+    preHandler: [authenticateToken, resolveHousehold, requireBudgetRole(...budgetMemberProcedures.ROLES)],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          startDate: { type: 'string', format: 'date' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { name, startDate } = request.body || {};
+
+      const source = await budgetProcedures.getById(id, request.user.id, request.householdId);
+      if (!source) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      const newStartDate = startDate ? new Date(startDate) : source.startDate;
+      const shift = newStartDate.getTime() - source.startDate.getTime();
+
+      const budget = await budgetProcedures.create({
+        userId: request.user.id,
+        householdId: request.householdId,
+        name: name || `${source.name} (copy)`,
+        amount: source.amount,
+        period: source.period,
+        startDate: newStartDate,
+        endDate: source.endDate ? new Date(source.endDate.getTime() + shift) : null,
+        allocationPolicy: source.allocationPolicy,
+        categories: source.categories
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'budget.create',
+        entityType: 'budget',
+        after: budget,
+        metadata: { clonedFromId: source.id }
+      });
+
+      invalidateUserCache(request.user.id, 'budgets');
+
+      reply.code(201);
+      return { success: true, data: budget, message: 'Budget cloned successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to clone budget' };
+    }
+  });
+
+  // POST /budgets/:id/rebalance - Scale category allocations proportionally so they add up
+  // to the budget amount (owners and editors)
+  fastify.post('/budgets/:id/rebalance', {
+    preHandler: [
+      authenticateToken,
+      resolveHousehold,
+      requireBudgetRole(...budgetMemberProcedures.EDIT_ROLES),
+      requireActiveBudget
+    ],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { before, after } = await categoryProcedures.rebalance(id);
+
+      for (const category of after) {
+        const previous = before.find(existing => existing.id === category.id);
+        if (parseFloat(previous.allocatedAmount) === parseFloat(category.allocatedAmount)) continue;
+
+        await auditLogProcedures.recordChange(request, {
+          action: 'category.update',
+          entityType: 'category',
+          before: previous,
+          after: category,
+          metadata: { rebalance: true }
+        });
+      }
+
+      return { success: true, data: after, message: 'Allocations rebalanced' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to rebalance allocations' };
+    }
+  });
+
+  // GET /budgets/:id/summary - Get budget summary for the current period
+  // (or the period containing ?date=)
   fastify.get('/budgets/:id/summary', {
-    preHandler: [authenticateToken, cacheMiddleware({ endpoint: 'budget-summary', ttl: 180 })]
+    preHandler: [authenticateToken, resolveHousehold, cacheMiddleware({ endpoint: 'budget-summary', ttl: 180 })],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' }
+        }
+      }
+    }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const summary = await budgetProcedures.getSummary(id, request.user.id);
+      const { date } = request.query;
+      const summary = await budgetProcedures.getSummary(
+        id,
+        request.user.id,
+        request.householdId,
+        date ? new Date(date) : undefined
+      );
       
       if (!summary) {
         reply.code(404);
@@ -159,6 +433,74 @@ async function budgetRoutes(fastify, options) {
       return { success: false, error: 'Failed to get budget summary' };
     }
   });
+
+  // GET /budgets/:id/forecast - Projected end-of-period spending per category and the
+  // daily projected balance for the current period (or as of ?date=)
+  fastify.get('/budgets/:id/forecast', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { date } = request.query;
+      const forecast = await budgetProcedures.getForecast(
+        id,
+        request.user.id,
+        request.householdId,
+        date ? new Date(date) : undefined
+      );
+
+      if (!forecast) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      return { success: true, data: forecast };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to get budget forecast' };
+    }
+  });
+
+  // GET /budgets/:id/periods - Historical periods with their totals, newest first
+  fastify.get('/budgets/:id/periods', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      params: idParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 12 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const result = await budgetProcedures.getPeriods(id, request.user.id, request.householdId, request.query);
+
+      if (!result) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      return { success: true, data: result.periods, pagination: result.pagination };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch budget periods' };
+    }
+  });
 }
 
 module.exports = budgetRoutes;
@@ -1,16 +1,54 @@
 const categoryProcedures = require('../db/categories');
+const categoryLibraryProcedures = require('../db/category-library');
+const budgetMemberProcedures = require('../db/budget-members');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const {
+  requireBudgetRole,
+  requireActiveBudget,
+  FORBIDDEN_ERROR,
+  ARCHIVED_ERROR
+} = require('../middleware/budget-access');
+const auditLogProcedures = require('../db/audit-log');
+const { ROLLOVER_POLICIES } = require('../services/budget-periods');
+const { overAllocationWarning } = require('../services/allocations');
+const { buildCategoryTree } = require('../services/category-tree');
+
+const LIBRARY_CATEGORY_ERROR = 'Library category not found';
+
+// Validate a rollover policy and cap, returns an error message or null
+function validateRollover(rolloverPolicy, rolloverCap) {
+  if (rolloverPolicy !== undefined && !ROLLOVER_POLICIES.includes(rolloverPolicy)) {
+    return `rolloverPolicy must be one of: ${ROLLOVER_POLICIES.join(', ')}`;
+  }
+
+  if (rolloverCap !== undefined && rolloverCap !== null &&
+      (isNaN(parseFloat(rolloverCap)) || parseFloat(rolloverCap) < 0)) {
+    return 'rolloverCap must be a non-negative amount';
+  }
+
+  if (rolloverPolicy === 'cap' && (rolloverCap === undefined || rolloverCap === null)) {
+    return 'rolloverCap is required with the cap policy';
+  }
+
+  return null;
+}
+
+// Warnings for a response when the change leaves the budget over-allocated under the warn policy
+function allocationWarnings(allocation) {
+  return allocation.overAllocated && allocation.policy === 'warn' ? [overAllocationWarning(allocation)] : [];
+}
 
 // Category routes
 async function categoryRoutes(fastify, options) {
-  // GET /budgets/:id/categories - Get categories for budget
+  // GET /budgets/:id/categories - Get categories for budget, subcategories nested under their parents
   fastify.get('/budgets/:id/categories', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const categories = await categoryProcedures.getByBudgetId(id, request.user.id);
-      return { success: true, data: categories };
+      const categories = await categoryProcedures.getByBudgetId(id, request.user.id, request.householdId);
+      return { success: true, data: buildCategoryTree(categories) };
     } catch (error) {
       fastify.log.error(error);
       reply.code(500);
@@ -20,11 +58,11 @@ async function categoryRoutes(fastify, options) {
 
   // GET /categories/:id - Get specific category
   fastify.get('/categories/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const category = await categoryProcedures.getById(id, request.user.id);
+      const category = await categoryProcedures.getById(id, request.user.id, request.householdId);
       
       if (!category) {
         reply.code(404);
@@ -39,13 +77,30 @@ async function categoryRoutes(fastify, options) {
     }
   });
 
-  // POST /budgets/:id/categories - Add category to budget
+  // POST /budgets/:id/categories - Add category to budget (owners and editors)
   fastify.post('/budgets/:id/categories', {
-    preHandler: [authenticateToken]
+    preHandler: [
+      authenticateToken,
+      resolveHousehold,
+      requireBudgetRole(...budgetMemberProcedures.EDIT_ROLES),
+      requireActiveBudget
+    ]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { name, allocatedAmount } = request.body;
+      const { allocatedAmount, parentId, libraryCategoryId, rolloverPolicy, rolloverCap } = request.body;
+      let { name } = request.body;
+
+      // A category picked from the library takes its name unless one is given
+      if (libraryCategoryId !== undefined && libraryCategoryId !== null) {
+        const libraryCategory = await categoryLibraryProcedures.getById(libraryCategoryId, request.user.id);
+        if (!libraryCategory) {
+          reply.code(400);
+          return { success: false, error: LIBRARY_CATEGORY_ERROR };
+        }
+
+        name = name || libraryCategory.name;
+      }
 
       // Basic validation (allow 0 as a valid allocatedAmount)
       if (!name || allocatedAmount === undefined) {
@@ -53,14 +108,49 @@ async function categoryRoutes(fastify, options) {
         return { success: false, error: 'Name and allocatedAmount are required' };
       }
 
+      const rolloverError = validateRollover(rolloverPolicy, rolloverCap);
+      if (rolloverError) {
+        reply.code(400);
+        return { success: false, error: rolloverError };
+      }
+
+      if (parentId !== undefined && parentId !== null) {
+        const parentError = await categoryProcedures.checkParent(id, parentId);
+        if (parentError) {
+          reply.code(400);
+          return { success: false, error: parentError };
+        }
+      }
+
+      const allocation = await categoryProcedures.checkAllocation(id, allocatedAmount);
+      if (allocation.overAllocated && allocation.policy === 'reject') {
+        reply.code(400);
+        return { success: false, error: overAllocationWarning(allocation), data: allocation };
+      }
+
       const category = await categoryProcedures.create({
         budgetId: parseInt(id),
         name,
-        allocatedAmount
+        allocatedAmount,
+        parentId,
+        libraryCategoryId,
+        rolloverPolicy,
+        rolloverCap
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'category.create',
+        entityType: 'category',
+        after: category
       });
       
       reply.code(201);
-      return { success: true, data: category, message: 'Category created successfully' };
+      return {
+        success: true,
+        data: category,
+        message: 'Category created successfully',
+        warnings: allocationWarnings(allocation)
+      };
     } catch (error) {
       fastify.log.error(error);
       reply.code(500);
@@ -70,11 +160,11 @@ async function categoryRoutes(fastify, options) {
 
   // PUT /categories/:id - Update category
   fastify.put('/categories/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const { name, allocatedAmount } = request.body;
+      const { name, allocatedAmount, parentId, libraryCategoryId, rolloverPolicy, rolloverCap } = request.body;
       
       // Basic validation
       if (!name || !allocatedAmount) {
@@ -82,12 +172,74 @@ async function categoryRoutes(fastify, options) {
         return { success: false, error: 'Name and allocatedAmount are required' };
       }
 
+      const existingCategory = await categoryProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingCategory) {
+        reply.code(404);
+        return { success: false, error: 'Category not found' };
+      }
+
+      const role = await budgetMemberProcedures.getRole(existingCategory.budgetId, request.user.id, request.householdId);
+      if (!budgetMemberProcedures.EDIT_ROLES.includes(role)) {
+        reply.code(403);
+        return { success: false, error: FORBIDDEN_ERROR };
+      }
+
+      if (existingCategory.budget.archivedAt) {
+        reply.code(409);
+        return { success: false, error: ARCHIVED_ERROR };
+      }
+
+      const rolloverError = validateRollover(
+        rolloverPolicy === undefined ? existingCategory.rolloverPolicy : rolloverPolicy,
+        rolloverCap === undefined ? existingCategory.rolloverCap : rolloverCap
+      );
+      if (rolloverError) {
+        reply.code(400);
+        return { success: false, error: rolloverError };
+      }
+
+      if (parentId !== undefined && parentId !== null) {
+        const parentError = await categoryProcedures.checkParent(existingCategory.budgetId, parentId, id);
+        if (parentError) {
+          reply.code(400);
+          return { success: false, error: parentError };
+        }
+      }
+
+      if (libraryCategoryId !== undefined && libraryCategoryId !== null &&
+          !(await categoryLibraryProcedures.getById(libraryCategoryId, request.user.id))) {
+        reply.code(400);
+        return { success: false, error: LIBRARY_CATEGORY_ERROR };
+      }
+
+      const allocation = await categoryProcedures.checkAllocation(existingCategory.budgetId, allocatedAmount, id);
+      if (allocation.overAllocated && allocation.policy === 'reject') {
+        reply.code(400);
+        return { success: false, error: overAllocationWarning(allocation), data: allocation };
+      }
+
       const category = await categoryProcedures.update(id, request.user.id, {
         name,
-        allocatedAmount
+        allocatedAmount,
+        parentId,
+        libraryCategoryId,
+        rolloverPolicy,
+        rolloverCap
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'category.update',
+        entityType: 'category',
+        before: existingCategory,
+        after: category
       });
       
-      return { success: true, data: category, message: 'Category updated successfully' };
+      return {
+        success: true,
+        data: category,
+        message: 'Category updated successfully',
+        warnings: allocationWarnings(allocation)
+      };
     } catch (error) {
       fastify.log.error(error);
       
@@ -103,11 +255,34 @@ async function categoryRoutes(fastify, options) {
 
   // DELETE /categories/:id - Delete category
   fastify.delete('/categories/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
+      const existingCategory = await categoryProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingCategory) {
+        reply.code(404);
+        return { success: false, error: 'Category not found' };
+      }
+
+      const role = await budgetMemberProcedures.getRole(existingCategory.budgetId, request.user.id, request.householdId);
+      if (!budgetMemberProcedures.EDIT_ROLES.includes(role)) {
+        reply.code(403);
+        return { success: false, error: FORBIDDEN_ERROR };
+      }
+
+      if (existingCategory.budget.archivedAt) {
+        reply.code(409);
+        return { success: false, error: ARCHIVED_ERROR };
+      }
+
       await categoryProcedures.delete(id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'category.delete',
+        entityType: 'category',
+        before: existingCategory
+      });
       
       return { success: true, message: 'Category deleted successfully' };
     } catch (error) {
@@ -0,0 +1,215 @@
+const categoryLibraryProcedures = require('../db/category-library');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+const libraryBody = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    color: { type: ['string', 'null'], pattern: '^#[0-9a-fA-F]{6}$' },
+    icon: { type: ['string', 'null'], maxLength: 50 }
+  }
+};
+
+const DUPLICATE_ERROR = 'A library category with this name already exists';
+
+// Category library routes
+async function categoryLibraryRoutes(fastify, options) {
+  // GET /category-library - Your library categories (with how many budget categories use each)
+  fastify.get('/category-library', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      const library = await categoryLibraryProcedures.getAll(request.user.id);
+      return { success: true, data: library };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch category library' };
+    }
+  });
+
+  // GET /category-library/spending - Spending per library category across all your budgets
+  // between ?from= and ?to= (inclusive; the current calendar month by default)
+  fastify.get('/category-library/spending', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const now = new Date();
+      const from = request.query.from
+        ? new Date(request.query.from)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const to = request.query.to
+        ? new Date(new Date(request.query.to).getTime() + DAY_MS)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+      if (to <= from) {
+        reply.code(400);
+        return { success: false, error: 'to must not be before from' };
+      }
+
+      const spending = await categoryLibraryProcedures.getSpending(request.user.id, request.householdId, { from, to });
+      return { success: true, data: spending, range: { from, to } };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch category spending' };
+    }
+  });
+
+  // POST /category-library - Add a library category
+  fastify.post('/category-library', {
+    preHandler: [authenticateToken],
+    schema: { body: libraryBody }
+  }, async (request, reply) => {
+    try {
+      const libraryCategory = await categoryLibraryProcedures.create({
+        ...request.body,
+        userId: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'library_category.create',
+        entityType: 'library_category',
+        after: libraryCategory
+      });
+
+      reply.code(201);
+      return { success: true, data: libraryCategory, message: 'Library category created successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2002') {
+        reply.code(409);
+        return { success: false, error: DUPLICATE_ERROR };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to create library category' };
+    }
+  });
+
+  // POST /category-library/link-existing - Link the unlinked categories of budgets you can edit
+  // to the library category with the same name
+  fastify.post('/category-library/link-existing', {
+    preHandler: [authenticateToken, resolveHousehold]
+  }, async (request, reply) => {
+    try {
+      const linked = await categoryLibraryProcedures.linkExisting(request.user.id, request.householdId);
+
+      if (linked > 0) {
+        await auditLogProcedures.recordFromRequest(request, {
+          action: 'library_category.link',
+          entityType: 'category',
+          metadata: { linked }
+        });
+      }
+
+      return { success: true, data: { linked }, message: `${linked} categories linked` };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to link categories' };
+    }
+  });
+
+  // PUT /category-library/:id - Update a library category
+  fastify.put('/category-library/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams, body: libraryBody }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      const existingCategory = await categoryLibraryProcedures.getById(id, request.user.id);
+      if (!existingCategory) {
+        reply.code(404);
+        return { success: false, error: 'Library category not found' };
+      }
+
+      const libraryCategory = await categoryLibraryProcedures.update(id, request.user.id, request.body);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'library_category.update',
+        entityType: 'library_category',
+        before: existingCategory,
+        after: libraryCategory
+      });
+
+      return { success: true, data: libraryCategory, message: 'Library category updated successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2002') {
+        reply.code(409);
+        return { success: false, error: DUPLICATE_ERROR };
+      }
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Library category not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to update library category' };
+    }
+  });
+
+  // DELETE /category-library/:id - Delete a library category (budget categories using it are kept, unlinked)
+  fastify.delete('/category-library/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      const existingCategory = await categoryLibraryProcedures.getById(id, request.user.id);
+      if (!existingCategory) {
+        reply.code(404);
+        return { success: false, error: 'Library category not found' };
+      }
+
+      await categoryLibraryProcedures.delete(id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'library_category.delete',
+        entityType: 'library_category',
+        before: existingCategory
+      });
+
+      return { success: true, message: 'Library category deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Library category not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to delete library category' };
+    }
+  });
+}
+
+module.exports = categoryLibraryRoutes;
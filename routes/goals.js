@@ -0,0 +1,335 @@
+const goalProcedures = require('../db/goals');
+const budgetMemberProcedures = require('../db/budget-members');
+const categoryProcedures = require('../db/categories');
+const transactionProcedures = require('../db/transactions');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+const goalBody = {
+  type: 'object',
+  required: ['name', 'targetAmount'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    targetAmount: { type: 'number', exclusiveMinimum: 0 },
+    targetDate: { type: 'string', format: 'date' },
+    budgetId: { type: 'integer', minimum: 1 },
+    categoryId: { type: 'integer', minimum: 1 } // Must belong to budgetId
+  }
+};
+
+// Savings goal routes
+async function goalRoutes(fastify, options) {
+  // Check that the linked budget and category (if any) are accessible, returns an error
+  // message or null
+  async function validateLinks(request) {
+    const { budgetId, categoryId } = request.body;
+
+    if (categoryId && !budgetId) {
+      return 'A linked category needs its budgetId';
+    }
+
+    if (budgetId) {
+      const role = await budgetMemberProcedures.getRole(budgetId, request.user.id, request.householdId);
+      if (!role) {
+        return 'Budget not found';
+      }
+    }
+
+    if (categoryId) {
+      const category = await categoryProcedures.getById(categoryId, request.user.id, request.householdId);
+      if (!category || category.budgetId !== budgetId) {
+        return 'Category does not belong to this budget';
+      }
+    }
+
+    return null;
+  }
+
+  // GET /goals - Your savings goals with their progress
+  fastify.get('/goals', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      const goals = await goalProcedures.getAll(request.user.id);
+      return { success: true, data: goals };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch goals' };
+    }
+  });
+
+  // GET /goals/:id - Goal with its contributions and progress
+  fastify.get('/goals/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const goal = await goalProcedures.getById(request.params.id, request.user.id);
+
+      if (!goal) {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      return { success: true, data: goal };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch goal' };
+    }
+  });
+
+  // POST /goals - Create a goal
+  fastify.post('/goals', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: { body: goalBody }
+  }, async (request, reply) => {
+    try {
+      const linkError = await validateLinks(request);
+      if (linkError) {
+        reply.code(400);
+        return { success: false, error: linkError };
+      }
+
+      const goal = await goalProcedures.create({
+        ...request.body,
+        userId: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'goal.create',
+        entityType: 'goal',
+        after: goal
+      });
+
+      reply.code(201);
+      return { success: true, data: goal, message: 'Goal created successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create goal' };
+    }
+  });
+
+  // PUT /goals/:id - Update a goal
+  fastify.put('/goals/:id', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: { params: idParams, body: goalBody }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      const existingGoal = await goalProcedures.getById(id, request.user.id);
+      if (!existingGoal) {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      const linkError = await validateLinks(request);
+      if (linkError) {
+        reply.code(400);
+        return { success: false, error: linkError };
+      }
+
+      const goal = await goalProcedures.update(id, request.user.id, request.body);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'goal.update',
+        entityType: 'goal',
+        before: existingGoal,
+        after: goal
+      });
+
+      return { success: true, data: goal, message: 'Goal updated successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to update goal' };
+    }
+  });
+
+  // DELETE /goals/:id - Delete a goal and its contributions (linked transactions are kept)
+  fastify.delete('/goals/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+
+      const existingGoal = await goalProcedures.getById(id, request.user.id);
+      if (!existingGoal) {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      await goalProcedures.delete(id, request.user.id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'goal.delete',
+        entityType: 'goal',
+        before: existingGoal
+      });
+
+      return { success: true, message: 'Goal deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to delete goal' };
+    }
+  });
+
+  // POST /goals/:id/contributions - Record a contribution. With a transactionId the contribution
+  // is backed by that income transaction and defaults to its amount and date.
+  fastify.post('/goals/:id/contributions', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        properties: {
+          amount: { type: 'number', exclusiveMinimum: 0 },
+          date: { type: 'string', format: 'date' },
+          note: { type: 'string', maxLength: 255 },
+          transactionId: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { note, transactionId } = request.body;
+      let { amount, date } = request.body;
+
+      const goal = await goalProcedures.getById(id, request.user.id);
+      if (!goal) {
+        reply.code(404);
+        return { success: false, error: 'Goal not found' };
+      }
+
+      if (transactionId) {
+        const transaction = await transactionProcedures.getById(transactionId, request.user.id, request.householdId);
+        if (!transaction) {
+          reply.code(400);
+          return { success: false, error: 'Transaction not found' };
+        }
+
+        if (transaction.type !== 'income') {
+          reply.code(400);
+          return { success: false, error: 'Only income transactions can back a contribution' };
+        }
+
+        amount = amount || parseFloat(transaction.amount);
+        date = date || transaction.date;
+      }
+
+      if (!amount) {
+        reply.code(400);
+        return { success: false, error: 'Amount or transactionId is required' };
+      }
+
+      const contribution = await goalProcedures.addContribution({
+        goalId: id,
+        amount,
+        date,
+        note,
+        transactionId,
+        createdById: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'goal.contribution.create',
+        entityType: 'goal_contribution',
+        after: contribution,
+        metadata: { goalId: id }
+      });
+
+      const updatedGoal = await goalProcedures.getById(id, request.user.id);
+
+      reply.code(201);
+      return {
+        success: true,
+        data: { contribution, progress: updatedGoal.progress },
+        message: 'Contribution recorded successfully'
+      };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2002') {
+        reply.code(409);
+        return { success: false, error: 'Transaction already backs a contribution' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to record contribution' };
+    }
+  });
+
+  // DELETE /goals/:id/contributions/:contributionId - Remove a contribution
+  fastify.delete('/goals/:id/contributions/:contributionId', {
+    preHandler: [authenticateToken],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          contributionId: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, contributionId } = request.params;
+
+      const goal = await goalProcedures.getById(id, request.user.id);
+      const existingContribution = goal && await goalProcedures.getContribution(contributionId, id);
+      if (!existingContribution) {
+        reply.code(404);
+        return { success: false, error: 'Contribution not found' };
+      }
+
+      await goalProcedures.deleteContribution(contributionId, id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'goal.contribution.delete',
+        entityType: 'goal_contribution',
+        before: existingContribution,
+        metadata: { goalId: id }
+      });
+
+      return { success: true, message: 'Contribution deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2025') {
+        reply.code(404);
+        return { success: false, error: 'Contribution not found' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to delete contribution' };
+    }
+  });
+}
+
+module.exports = goalRoutes;
@@ -0,0 +1,382 @@
+const householdProcedures = require('../db/households');
+const connectionProcedures = require('../db/connections');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+const { invalidateUserCache } = require('../middleware/cache-redis');
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 }
+  }
+};
+
+const memberParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    memberId: { type: 'integer', minimum: 1 }
+  }
+};
+
+const nameBody = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+// Household routes
+async function householdRoutes(fastify, options) {
+  // Membership of the current user in the household from the URL; sends 404/403 and
+  // returns null unless they have one of the given roles
+  async function requireHouseholdRole(request, reply, roles) {
+    const membership = await householdProcedures.getMembership(request.params.id, request.user.id);
+
+    if (!membership) {
+      reply.code(404).send({ success: false, error: 'Household not found' });
+      return null;
+    }
+
+    if (!roles.includes(membership.role)) {
+      reply.code(403).send({ success: false, error: 'Only household owners can do this' });
+      return null;
+    }
+
+    return membership;
+  }
+
+  // GET /households - Households you belong to and pending invitations
+  fastify.get('/households', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      // Make sure the default household exists before listing
+      await householdProcedures.getDefaultForUser(request.user.id);
+      const households = await householdProcedures.getAllForUser(request.user.id);
+      return { success: true, data: households };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch households' };
+    }
+  });
+
+  // GET /households/:id - Household with its members
+  fastify.get('/households/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const household = await householdProcedures.getById(request.params.id, request.user.id);
+
+      if (!household) {
+        reply.code(404);
+        return { success: false, error: 'Household not found' };
+      }
+
+      return { success: true, data: household };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch household' };
+    }
+  });
+
+  // POST /households - Create a household (you become its owner)
+  fastify.post('/households', {
+    preHandler: [authenticateToken],
+    schema: { body: nameBody }
+  }, async (request, reply) => {
+    try {
+      const household = await householdProcedures.create({
+        name: request.body.name.trim(),
+        userId: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.create',
+        entityType: 'household',
+        after: household
+      });
+
+      reply.code(201);
+      return { success: true, data: household, message: 'Household created successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to create household' };
+    }
+  });
+
+  // PATCH /households/:id - Rename a household (owners)
+  fastify.patch('/households/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams, body: nameBody }
+  }, async (request, reply) => {
+    try {
+      if (!await requireHouseholdRole(request, reply, ['owner'])) return reply;
+
+      const { id } = request.params;
+      const existingHousehold = await householdProcedures.getById(id, request.user.id);
+      const household = await householdProcedures.update(id, { name: request.body.name.trim() });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.update',
+        entityType: 'household',
+        before: existingHousehold,
+        after: household
+      });
+
+      return { success: true, data: household, message: 'Household updated successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update household' };
+    }
+  });
+
+  // DELETE /households/:id - Delete an empty household (owners)
+  fastify.delete('/households/:id', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      if (!await requireHouseholdRole(request, reply, ['owner'])) return reply;
+
+      const { id } = request.params;
+
+      if (await householdProcedures.countBudgets(id) > 0) {
+        reply.code(409);
+        return { success: false, error: 'Delete the household\'s budgets first' };
+      }
+
+      const existingHousehold = await householdProcedures.getById(id, request.user.id);
+      await householdProcedures.delete(id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.delete',
+        entityType: 'household',
+        before: existingHousehold
+      });
+
+      existingHousehold.members.forEach(member => invalidateUserCache(member.userId));
+
+      return { success: true, message: 'Household deleted successfully' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to delete household' };
+    }
+  });
+
+  // PUT /households/:id/default - Use this household when requests don't pick one
+  fastify.put('/households/:id/default', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      if (!await requireHouseholdRole(request, reply, householdProcedures.ROLES)) return reply;
+
+      await householdProcedures.setDefault(request.user.id, request.params.id);
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'household.set_default',
+        entityType: 'household',
+        entityId: request.params.id
+      });
+      invalidateUserCache(request.user.id);
+
+      return { success: true, message: 'Default household updated' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to set default household' };
+    }
+  });
+
+  // POST /households/:id/members - Invite one of your connections (owners)
+  fastify.post('/households/:id/members', {
+    preHandler: [authenticateToken],
+    schema: {
+      params: idParams,
+      body: {
+        type: 'object',
+        required: ['connectionId'],
+        properties: {
+          connectionId: { type: 'integer', minimum: 1 },
+          role: { type: 'string', enum: householdProcedures.ROLES, default: 'member' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      if (!await requireHouseholdRole(request, reply, ['owner'])) return reply;
+
+      const { id } = request.params;
+      const { connectionId, role } = request.body;
+
+      const connection = await connectionProcedures.getById(connectionId, request.user.id);
+      if (!connection) {
+        reply.code(404);
+        return { success: false, error: 'Connection not found' };
+      }
+
+      if (!connection.connectedTo) {
+        reply.code(400);
+        return { success: false, error: 'This connection does not have an account yet' };
+      }
+
+      const member = await householdProcedures.invite({
+        householdId: id,
+        userId: connection.connectedTo.id,
+        role,
+        invitedById: request.user.id
+      });
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.member.invite',
+        entityType: 'household_member',
+        after: member,
+        metadata: { connectionId }
+      });
+
+      reply.code(201);
+      return { success: true, data: member, message: 'Invitation sent' };
+    } catch (error) {
+      fastify.log.error(error);
+
+      if (error.code === 'P2002') {
+        reply.code(409);
+        return { success: false, error: 'User is already a member or invited' };
+      }
+
+      reply.code(500);
+      return { success: false, error: 'Failed to invite member' };
+    }
+  });
+
+  // POST /households/:id/accept - Accept an invitation to a household
+  fastify.post('/households/:id/accept', {
+    preHandler: [authenticateToken],
+    schema: { params: idParams }
+  }, async (request, reply) => {
+    try {
+      const membership = await householdProcedures.acceptInvitation(request.params.id, request.user.id);
+
+      if (!membership) {
+        reply.code(404);
+        return { success: false, error: 'Invitation not found' };
+      }
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.member.accept',
+        entityType: 'household_member',
+        before: { ...membership, acceptedAt: null },
+        after: membership
+      });
+
+      return { success: true, data: membership, message: 'Invitation accepted' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to accept invitation' };
+    }
+  });
+
+  // PATCH /households/:id/members/:memberId - Change a member's role (owners)
+  fastify.patch('/households/:id/members/:memberId', {
+    preHandler: [authenticateToken],
+    schema: {
+      params: memberParams,
+      body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { type: 'string', enum: householdProcedures.ROLES }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      if (!await requireHouseholdRole(request, reply, ['owner'])) return reply;
+
+      const { id, memberId } = request.params;
+      const { role } = request.body;
+
+      const existingMember = await householdProcedures.getMemberById(memberId, id);
+      if (!existingMember) {
+        reply.code(404);
+        return { success: false, error: 'Member not found' };
+      }
+
+      if (existingMember.role === 'owner' && role !== 'owner' &&
+          existingMember.acceptedAt && await householdProcedures.countOwners(id) <= 1) {
+        reply.code(400);
+        return { success: false, error: 'A household needs at least one owner' };
+      }
+
+      const member = await householdProcedures.updateRole(memberId, id, role);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'household.member.role_change',
+        entityType: 'household_member',
+        before: existingMember,
+        after: member
+      });
+
+      invalidateUserCache(member.userId);
+
+      return { success: true, data: member, message: 'Member role updated' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update member role' };
+    }
+  });
+
+  // DELETE /households/:id/members/:memberId - Remove a member or withdraw an invitation
+  // (owners), or leave the household / decline an invitation (the member themselves)
+  fastify.delete('/households/:id/members/:memberId', {
+    preHandler: [authenticateToken],
+    schema: { params: memberParams }
+  }, async (request, reply) => {
+    try {
+      const { id, memberId } = request.params;
+
+      const existingMember = await householdProcedures.getMemberById(memberId, id);
+      if (!existingMember) {
+        reply.code(404);
+        return { success: false, error: 'Member not found' };
+      }
+
+      const leaving = existingMember.userId === request.user.id;
+      if (!leaving && !await requireHouseholdRole(request, reply, ['owner'])) return reply;
+
+      if (existingMember.role === 'owner' && existingMember.acceptedAt &&
+          await householdProcedures.countOwners(id) <= 1) {
+        reply.code(400);
+        return { success: false, error: 'A household needs at least one owner' };
+      }
+
+      await householdProcedures.removeMember(memberId, id);
+
+      await auditLogProcedures.recordChange(request, {
+        action: leaving ? 'household.member.leave' : 'household.member.remove',
+        entityType: 'household_member',
+        before: existingMember
+      });
+
+      invalidateUserCache(existingMember.userId);
+
+      return { success: true, message: leaving ? 'You left the household' : 'Member removed' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to remove member' };
+    }
+  });
+}
+
+module.exports = householdRoutes;
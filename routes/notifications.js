@@ -0,0 +1,94 @@
+const notificationProcedures = require('../db/notifications');
+const auditLogProcedures = require('../db/audit-log');
+const { authenticateToken } = require('../middleware/auth');
+
+// Notification routes
+async function notificationRoutes(fastify, options) {
+  // GET /notifications - Your notifications, newest first
+  fastify.get('/notifications', {
+    preHandler: [authenticateToken],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+          unreadOnly: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await notificationProcedures.getForUser(request.user.id, request.query);
+      return {
+        success: true,
+        data: result.notifications,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination
+      };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to fetch notifications' };
+    }
+  });
+
+  // POST /notifications/:id/read - Mark a notification as read
+  fastify.post('/notifications/:id/read', {
+    preHandler: [authenticateToken],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const notification = await notificationProcedures.markRead(request.params.id, request.user.id);
+
+      if (!notification) {
+        reply.code(404);
+        return { success: false, error: 'Notification not found' };
+      }
+
+      await auditLogProcedures.recordFromRequest(request, {
+        action: 'notification.read',
+        entityType: 'notification',
+        entityId: notification.id,
+        after: { readAt: notification.readAt }
+      });
+
+      return { success: true, data: notification };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update notification' };
+    }
+  });
+
+  // POST /notifications/read-all - Mark all your notifications as read
+  fastify.post('/notifications/read-all', {
+    preHandler: [authenticateToken]
+  }, async (request, reply) => {
+    try {
+      const count = await notificationProcedures.markAllRead(request.user.id);
+
+      if (count > 0) {
+        await auditLogProcedures.recordFromRequest(request, {
+          action: 'notification.read_all',
+          entityType: 'notification',
+          metadata: { count }
+        });
+      }
+      return { success: true, data: { count }, message: 'Notifications marked as read' };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to update notifications' };
+    }
+  });
+}
+
+module.exports = notificationRoutes;
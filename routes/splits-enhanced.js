@@ -1,10 +1,13 @@
-const { authenticateToken, invalidateUserCache } = require('../middleware/cache-redis');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { invalidateUserCache } = require('../middleware/cache-redis');
 const splitProcedures = require('../db/splits-enhanced');
+const auditLogProcedures = require('../db/audit-log');
 
 async function splitsRoutes(fastify, options) {
   // Enhanced GET /splits with pagination and filtering
   fastify.get('/splits', {
-    preHandler: [authenticateToken],
+    preHandler: [authenticateToken, resolveHousehold],
     schema: {
       querystring: {
         type: 'object',
@@ -25,7 +28,12 @@ async function splitsRoutes(fastify, options) {
         result = await splitProcedures.searchSplits(request.user.id, search, { limit });
         return { success: true, data: result };
       } else {
-        result = await splitProcedures.getAll(request.user.id, { limit, offset, status });
+        result = await splitProcedures.getAll(request.user.id, {
+          limit,
+          offset,
+          status,
+          householdId: request.householdId
+        });
         return { success: true, data: result.splits, pagination: result.pagination };
       }
     } catch (error) {
@@ -37,7 +45,7 @@ async function splitsRoutes(fastify, options) {
 
   // Enhanced POST /splits with validation
   fastify.post('/splits', {
-    preHandler: [authenticateToken],
+    preHandler: [authenticateToken, resolveHousehold],
     schema: {
       body: {
         type: 'object',
@@ -66,11 +74,18 @@ async function splitsRoutes(fastify, options) {
     try {
       const splitData = {
         ...request.body,
-        createdBy: request.user.id
+        createdBy: request.user.id,
+        householdId: request.householdId
       };
 
       const split = await splitProcedures.create(splitData);
 
+      await auditLogProcedures.recordChange(request, {
+        action: 'split.create',
+        entityType: 'split',
+        after: split
+      });
+
       // Invalidate user's splits cache
       invalidateUserCache(request.user.id, 'splits');
 
@@ -113,7 +128,7 @@ async function splitsRoutes(fastify, options) {
 
   // Enhanced PATCH /splits/:id/participants/:participantId/paid
   fastify.patch('/splits/:id/participants/:participantId/paid', {
-    preHandler: [authenticateToken],
+    preHandler: [authenticateToken, resolveHousehold],
     schema: {
       params: {
         type: 'object',
@@ -125,12 +140,24 @@ async function splitsRoutes(fastify, options) {
     }
   }, async (request, reply) => {
     try {
+      const split = await splitProcedures.getById(request.params.id, request.user.id);
+      const existingParticipant = split &&
+        split.participants.find(participant => participant.id === request.params.participantId);
+
       const result = await splitProcedures.markParticipantPaid(
         request.params.id,
         request.params.participantId,
-        request.user.id
+        request.user.id,
+        request.householdId
       );
 
+      await auditLogProcedures.recordChange(request, {
+        action: 'split.participant.mark_paid',
+        entityType: 'split_participant',
+        before: existingParticipant,
+        after: result.participant
+      });
+
       // Invalidate user's splits cache
       invalidateUserCache(request.user.id, 'splits');
 
@@ -144,7 +171,7 @@ async function splitsRoutes(fastify, options) {
 
   // Enhanced DELETE /splits/:id
   fastify.delete('/splits/:id', {
-    preHandler: [authenticateToken],
+    preHandler: [authenticateToken, resolveHousehold],
     schema: {
       params: {
         type: 'object',
@@ -155,7 +182,15 @@ async function splitsRoutes(fastify, options) {
     }
   }, async (request, reply) => {
     try {
-      await splitProcedures.deleteSplit(request.params.id, request.user.id);
+      const existingSplit = await splitProcedures.getById(request.params.id, request.user.id);
+
+      await splitProcedures.deleteSplit(request.params.id, request.user.id, request.householdId);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'split.delete',
+        entityType: 'split',
+        before: existingSplit
+      });
 
       // Invalidate user's splits cache
       invalidateUserCache(request.user.id, 'splits');
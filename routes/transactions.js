@@ -1,15 +1,20 @@
 const transactionProcedures = require('../db/transactions');
+const categoryProcedures = require('../db/categories');
+const budgetMemberProcedures = require('../db/budget-members');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveHousehold } = require('../middleware/household');
+const { FORBIDDEN_ERROR, ARCHIVED_ERROR } = require('../middleware/budget-access');
+const auditLogProcedures = require('../db/audit-log');
 
 // Transaction routes
 async function transactionRoutes(fastify, options) {
-  // GET /transactions - Get all transactions (with filters)
+  // GET /transactions - Get all transactions on accessible budgets (with filters)
   fastify.get('/transactions', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const filters = request.query;
-      const transactions = await transactionProcedures.getAll(request.user.id, filters);
+      const transactions = await transactionProcedures.getAll(request.user.id, filters, request.householdId);
       return { success: true, data: transactions };
     } catch (error) {
       fastify.log.error(error);
@@ -20,11 +25,11 @@ async function transactionRoutes(fastify, options) {
 
   // GET /budgets/:id/transactions - Get transactions for budget
   fastify.get('/budgets/:id/transactions', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const transactions = await transactionProcedures.getByBudgetId(id, request.user.id);
+      const transactions = await transactionProcedures.getByBudgetId(id, request.user.id, request.householdId);
       return { success: true, data: transactions };
     } catch (error) {
       fastify.log.error(error);
@@ -33,13 +38,55 @@ async function transactionRoutes(fastify, options) {
     }
   });
 
+  // GET /budgets/:id/compare - Category spending in a period (?period= index, the current one
+  // by default) against the previous period(s)
+  fastify.get('/budgets/:id/compare', {
+    preHandler: [authenticateToken, resolveHousehold],
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          period: { type: 'integer', minimum: 0 },
+          previous: { type: 'integer', minimum: 1, maximum: 12, default: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const comparison = await transactionProcedures.comparePeriods(
+        id,
+        request.user.id,
+        request.householdId,
+        request.query
+      );
+
+      if (!comparison) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      return { success: true, data: comparison };
+    } catch (error) {
+      fastify.log.error(error);
+      reply.code(500);
+      return { success: false, error: 'Failed to compare periods' };
+    }
+  });
+
   // GET /transactions/:id - Get specific transaction
   fastify.get('/transactions/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const transaction = await transactionProcedures.getById(id, request.user.id);
+      const transaction = await transactionProcedures.getById(id, request.user.id, request.householdId);
       
       if (!transaction) {
         reply.code(404);
@@ -56,7 +103,7 @@ async function transactionRoutes(fastify, options) {
 
   // POST /transactions - Create transaction
   fastify.post('/transactions', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { budgetId, categoryId, amount, description, date, type } = request.body;
@@ -67,6 +114,28 @@ async function transactionRoutes(fastify, options) {
         return { success: false, error: 'BudgetId, categoryId, and amount are required' };
       }
 
+      const role = await budgetMemberProcedures.getRole(budgetId, request.user.id, request.householdId);
+      if (!role) {
+        reply.code(404);
+        return { success: false, error: 'Budget not found' };
+      }
+
+      if (!budgetMemberProcedures.EDIT_ROLES.includes(role)) {
+        reply.code(403);
+        return { success: false, error: FORBIDDEN_ERROR };
+      }
+
+      const category = await categoryProcedures.getById(categoryId, request.user.id, request.householdId);
+      if (!category || category.budgetId !== parseInt(budgetId)) {
+        reply.code(400);
+        return { success: false, error: 'Category does not belong to this budget' };
+      }
+
+      if (category.budget.archivedAt) {
+        reply.code(409);
+        return { success: false, error: ARCHIVED_ERROR };
+      }
+
       const transaction = await transactionProcedures.create({
         budgetId,
         categoryId,
@@ -75,6 +144,12 @@ async function transactionRoutes(fastify, options) {
         description,
         date,
         type: type || 'expense'
+      }, fastify.log);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'transaction.create',
+        entityType: 'transaction',
+        after: transaction
       });
       
       reply.code(201);
@@ -88,7 +163,7 @@ async function transactionRoutes(fastify, options) {
 
   // PUT /transactions/:id - Update transaction
   fastify.put('/transactions/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
@@ -100,11 +175,35 @@ async function transactionRoutes(fastify, options) {
         return { success: false, error: 'Amount is required' };
       }
 
+      const existingTransaction = await transactionProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingTransaction) {
+        reply.code(404);
+        return { success: false, error: 'Transaction not found' };
+      }
+
+      const role = await budgetMemberProcedures.getRole(existingTransaction.budgetId, request.user.id, request.householdId);
+      if (!budgetMemberProcedures.EDIT_ROLES.includes(role)) {
+        reply.code(403);
+        return { success: false, error: FORBIDDEN_ERROR };
+      }
+
+      if (existingTransaction.budget.archivedAt) {
+        reply.code(409);
+        return { success: false, error: ARCHIVED_ERROR };
+      }
+
       const transaction = await transactionProcedures.update(id, request.user.id, {
         amount,
         description,
         date,
         type
+      }, fastify.log);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'transaction.update',
+        entityType: 'transaction',
+        before: existingTransaction,
+        after: transaction
       });
       
       return { success: true, data: transaction, message: 'Transaction updated successfully' };
@@ -123,16 +222,34 @@ async function transactionRoutes(fastify, options) {
 
   // DELETE /transactions/:id - Delete transaction
   fastify.delete('/transactions/:id', {
-    preHandler: [authenticateToken]
+    preHandler: [authenticateToken, resolveHousehold]
   }, async (request, reply) => {
     try {
       const { id } = request.params;
-      const result = await transactionProcedures.delete(id, request.user.id);
-      
-      if (!result) {
+      const existingTransaction = await transactionProcedures.getById(id, request.user.id, request.householdId);
+      if (!existingTransaction) {
         reply.code(404);
         return { success: false, error: 'Transaction not found' };
       }
+
+      const role = await budgetMemberProcedures.getRole(existingTransaction.budgetId, request.user.id, request.householdId);
+      if (!budgetMemberProcedures.EDIT_ROLES.includes(role)) {
+        reply.code(403);
+        return { success: false, error: FORBIDDEN_ERROR };
+      }
+
+      if (existingTransaction.budget.archivedAt) {
+        reply.code(409);
+        return { success: false, error: ARCHIVED_ERROR };
+      }
+
+      await transactionProcedures.delete(id, request.user.id, fastify.log);
+
+      await auditLogProcedures.recordChange(request, {
+        action: 'transaction.delete',
+        entityType: 'transaction',
+        before: existingTransaction
+      });
       
       return { success: true, message: 'Transaction deleted successfully' };
     } catch (error) {
@@ -16,7 +16,8 @@ async function main() {
         password: adminPassword,
         name: 'Admin User',
         role: 'admin',
-        isActive: true
+        isActive: true,
+        emailVerifiedAt: new Date()
       }
     });
 
@@ -28,7 +29,8 @@ async function main() {
         password: testPassword,
         name: 'Test User',
         role: 'user',
-        isActive: true
+        isActive: true,
+        emailVerifiedAt: new Date()
       }
     });
 
@@ -15,7 +15,8 @@ async function seedWithDemoData() {
         password: adminPasswordHash,
         name: 'Admin User',
         role: 'admin',
-        isActive: true
+        isActive: true,
+        emailVerifiedAt: new Date()
       }
     });
 
@@ -27,7 +28,8 @@ async function seedWithDemoData() {
         password: testPasswordHash,
         name: 'Test User',
         role: 'user',
-        isActive: true
+        isActive: true,
+        emailVerifiedAt: new Date()
       }
     });
 
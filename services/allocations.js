@@ -0,0 +1,77 @@
+// Category allocations against the budget amount.
+// What happens when categories allocate more than the budget amount:
+// reject - the change is refused
+// warn - the change is saved and the response carries a warning
+// allow - nothing
+const ALLOCATION_POLICIES = ['reject', 'warn', 'allow'];
+
+/**
+ * Compare total allocations with the budget amount
+ * @param {number|string} budgetAmount - Budget amount
+ * @param {Array<number|string>} allocations - Allocated amount of every category
+ * @returns {{totalAllocated: number, unallocated: number, overAllocated: boolean}}
+ */
+function summarizeAllocations(budgetAmount, allocations) {
+  const totalAllocated = allocations.reduce((sum, amount) => sum + parseFloat(amount), 0);
+  const unallocated = Math.round((parseFloat(budgetAmount) - totalAllocated) * 100) / 100;
+
+  return {
+    totalAllocated,
+    unallocated,
+    overAllocated: unallocated < 0
+  };
+}
+
+/**
+ * Warning message for an over-allocated budget
+ * @param {{totalAllocated: number, unallocated: number}} allocation - From summarizeAllocations
+ * @returns {string}
+ */
+function overAllocationWarning(allocation) {
+  return `Categories allocate ${allocation.totalAllocated.toFixed(2)}, ` +
+    `${(-allocation.unallocated).toFixed(2)} more than the budget amount`;
+}
+
+/**
+ * Scale allocations proportionally so they add up to exactly `amount` (to the cent).
+ * Rounding leftovers go to the largest remainders; if nothing is allocated yet the
+ * amount is split evenly.
+ * @param {Array<{id: number, allocatedAmount: number|string}>} categories - Categories to rebalance
+ * @param {number|string} amount - Total to allocate
+ * @returns {Array<{id: number, allocatedAmount: number}>} New allocations, in the same order
+ */
+function rebalanceAllocations(categories, amount) {
+  if (categories.length === 0) return [];
+
+  const totalCents = Math.round(parseFloat(amount) * 100);
+  const weights = categories.map(category => parseFloat(category.allocatedAmount));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = totalWeight > 0
+    ? weights.map(weight => weight / totalWeight * totalCents)
+    : weights.map(() => totalCents / categories.length);
+
+  const cents = shares.map(Math.floor);
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+
+  shares
+    .map((share, index) => ({ index, remainder: share - cents[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        cents[index]++;
+        leftover--;
+      }
+    });
+
+  return categories.map((category, index) => ({
+    id: category.id,
+    allocatedAmount: cents[index] / 100
+  }));
+}
+
+module.exports = {
+  ALLOCATION_POLICIES,
+  summarizeAllocations,
+  overAllocationWarning,
+  rebalanceAllocations
+};
@@ -0,0 +1,180 @@
+// Budget period windows. A budget repeats every week, month or year from its startDate;
+// period 0 starts on startDate and each window ends (exclusive) where the next one starts.
+// All arithmetic is done in UTC. Also computes how category allocations roll over between periods.
+const PERIODS = ['weekly', 'monthly', 'yearly'];
+
+// What happens to a category's leftover allocation at the end of a period:
+// none - every period starts from the allocation
+// surplus - unspent money is added to the next period
+// surplus_and_deficit - unspent money is added, overspending is deducted
+// cap - like surplus, up to the category's rolloverCap
+const ROLLOVER_POLICIES = ['none', 'surplus', 'surplus_and_deficit', 'cap'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS_PER_PERIOD = { monthly: 1, yearly: 12 };
+
+/**
+ * Add months to a date, keeping the day of month where possible
+ * (Jan 31 + 1 month is Feb 28/29, + 2 months is Mar 31)
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const totalMonths = date.getUTCFullYear() * 12 + date.getUTCMonth() + months;
+  const year = Math.floor(totalMonths / 12);
+  const month = totalMonths - year * 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), daysInMonth));
+  return result;
+}
+
+/**
+ * Start of the nth period of a budget
+ * @param {Object} budget - Budget with period and startDate
+ * @param {number} index - Period number (0 is the first period)
+ * @returns {Date} Period start
+ */
+function periodStart(budget, index) {
+  const startDate = new Date(budget.startDate);
+
+  if (budget.period === 'weekly') {
+    return new Date(startDate.getTime() + index * 7 * DAY_MS);
+  }
+
+  // Unknown periods (budgets created before periods were validated) are treated as monthly
+  return addMonths(startDate, index * (MONTHS_PER_PERIOD[budget.period] || 1));
+}
+
+/**
+ * Number of the period containing a date; negative before the budget starts
+ * @param {Object} budget - Budget with period and startDate
+ * @param {Date|string} date - Date to look up
+ * @returns {number} Period number
+ */
+function periodIndexAt(budget, date) {
+  const time = new Date(date).getTime();
+  const startDate = new Date(budget.startDate);
+
+  let index;
+  if (budget.period === 'weekly') {
+    index = Math.floor((time - startDate.getTime()) / (7 * DAY_MS));
+  } else {
+    const target = new Date(time);
+    const months = (target.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+      target.getUTCMonth() - startDate.getUTCMonth();
+    index = Math.floor(months / (MONTHS_PER_PERIOD[budget.period] || 1));
+  }
+
+  // Month arithmetic can land one period late (e.g. the 10th when periods start on the 15th)
+  while (periodStart(budget, index).getTime() > time) index--;
+  while (periodStart(budget, index + 1).getTime() <= time) index++;
+
+  return index;
+}
+
+/**
+ * Period window by number
+ * @param {Object} budget - Budget with period and startDate
+ * @param {number} index - Period number
+ * @returns {{index: number, startDate: Date, endDate: Date}} Period (endDate is exclusive)
+ */
+function getPeriod(budget, index) {
+  return {
+    index,
+    startDate: periodStart(budget, index),
+    endDate: periodStart(budget, index + 1)
+  };
+}
+
+/**
+ * Number of the last period (the one containing endDate), or null for open-ended budgets
+ * @param {Object} budget - Budget with period, startDate and endDate
+ * @returns {number|null} Period number
+ */
+function lastPeriodIndex(budget) {
+  if (!budget.endDate) return null;
+  return Math.max(periodIndexAt(budget, budget.endDate), 0);
+}
+
+/**
+ * Period containing a date, clamped to the budget's first and last periods
+ * @param {Object} budget - Budget with period, startDate and endDate
+ * @param {Date|string} [date] - Date to look up (defaults to now)
+ * @returns {{index: number, startDate: Date, endDate: Date}} Period
+ */
+function getPeriodAt(budget, date = new Date()) {
+  let index = Math.max(periodIndexAt(budget, date), 0);
+
+  const lastIndex = lastPeriodIndex(budget);
+  if (lastIndex !== null) {
+    index = Math.min(index, lastIndex);
+  }
+
+  return getPeriod(budget, index);
+}
+
+/**
+ * All periods from the first one up to the current one (or the last one of a finished budget)
+ * @param {Object} budget - Budget with period, startDate and endDate
+ * @param {Date} [now] - Current time
+ * @returns {Array<{index: number, startDate: Date, endDate: Date}>} Periods, oldest first
+ */
+function listPeriods(budget, now = new Date()) {
+  const current = getPeriodAt(budget, now);
+  const periods = [];
+
+  for (let index = 0; index <= current.index; index++) {
+    periods.push(getPeriod(budget, index));
+  }
+
+  return periods;
+}
+
+/**
+ * Whether a date falls inside a period
+ * @param {Date|string} date - Date to check
+ * @param {{startDate: Date, endDate: Date}} period - Period
+ * @returns {boolean}
+ */
+function isInPeriod(date, period) {
+  const time = new Date(date).getTime();
+  return time >= period.startDate.getTime() && time < period.endDate.getTime();
+}
+
+/**
+ * Amount a category carries into a period under its rollover policy
+ * @param {Object} category - Category with allocatedAmount, rolloverPolicy and rolloverCap
+ * @param {number[]} spentByPeriod - Net spending in each earlier period, oldest first
+ * @returns {number} Carryover (negative when overspending is deducted)
+ */
+function computeCarryover(category, spentByPeriod) {
+  const policy = category.rolloverPolicy || 'none';
+  if (policy === 'none') return 0;
+
+  const allocated = parseFloat(category.allocatedAmount);
+  const cap = category.rolloverCap === null || category.rolloverCap === undefined
+    ? Infinity
+    : parseFloat(category.rolloverCap);
+
+  return spentByPeriod.reduce((carryover, spent) => {
+    const leftover = allocated + carryover - spent;
+
+    if (policy === 'surplus_and_deficit') return leftover;
+    if (policy === 'cap') return Math.min(Math.max(leftover, 0), cap);
+    return Math.max(leftover, 0);
+  }, 0);
+}
+
+module.exports = {
+  PERIODS,
+  ROLLOVER_POLICIES,
+  computeCarryover,
+  getPeriod,
+  getPeriodAt,
+  periodIndexAt,
+  listPeriods,
+  isInPeriod
+};
@@ -0,0 +1,148 @@
+// Category hierarchy. A category may have a parent in the same budget; a parent's totals are
+// its own figures plus those of all of its subcategories.
+
+/**
+ * Nest categories under their parents and roll allocations and spending up
+ * @param {Array<{id: number, parentId: number|null, allocatedAmount: number|string, spentAmount: number|string}>} categories
+ *   Categories of one budget
+ * @returns {Array<Object>} Top-level categories, each with `children`, `totalAllocated` and `totalSpent`
+ */
+function buildCategoryTree(categories) {
+  const ids = new Set(categories.map(category => category.id));
+  const childrenOf = new Map();
+
+  categories.forEach(category => {
+    // Categories whose parent is missing (not in the list) are shown at the top
+    const parentId = ids.has(category.parentId) ? category.parentId : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(category);
+  });
+
+  const build = category => {
+    const children = (childrenOf.get(category.id) || []).map(build);
+
+    return {
+      ...category,
+      children,
+      totalAllocated: children.reduce((sum, child) => sum + child.totalAllocated, parseFloat(category.allocatedAmount)),
+      totalSpent: children.reduce((sum, child) => sum + child.totalSpent, parseFloat(category.spentAmount))
+    };
+  };
+
+  return (childrenOf.get(null) || []).map(build);
+}
+
+/**
+ * IDs of each category and all of its subcategories (at any depth)
+ * @param {Array<{id: number, parentId: number|null}>} categories - Categories of one budget
+ * @returns {Map<number, number[]>} Category ID to its own ID followed by its descendants' IDs
+ */
+function subtreeIds(categories) {
+  const ids = new Set(categories.map(category => category.id));
+  const childrenOf = new Map();
+
+  categories.forEach(category => {
+    if (!ids.has(category.parentId)) return;
+    if (!childrenOf.has(category.parentId)) childrenOf.set(category.parentId, []);
+    childrenOf.get(category.parentId).push(category.id);
+  });
+
+  const subtrees = new Map();
+  const collect = id => {
+    if (subtrees.has(id)) return subtrees.get(id);
+
+    subtrees.set(id, [id]); // Stops a (corrupt) cycle from recursing forever
+    const subtree = [id, ...(childrenOf.get(id) || []).flatMap(collect)];
+    subtrees.set(id, subtree);
+    return subtree;
+  };
+
+  categories.forEach(category => collect(category.id));
+  return subtrees;
+}
+
+/**
+ * Add rolled-up totals to a flat list of categories, keeping its order
+ * @param {Array<{id: number, parentId: number|null, allocatedAmount: number|string, spentAmount: number|string}>} categories
+ *   Categories of one budget
+ * @returns {Array<Object>} Categories with `totalAllocated` and `totalSpent` (their own figures plus
+ *   those of all of their subcategories)
+ */
+function withSubtotals(categories) {
+  const subtrees = subtreeIds(categories);
+  const byId = new Map(categories.map(category => [category.id, category]));
+
+  return categories.map(category => {
+    const members = subtrees.get(category.id).map(id => byId.get(id));
+
+    return {
+      ...category,
+      totalAllocated: members.reduce((sum, member) => sum + parseFloat(member.allocatedAmount), 0),
+      totalSpent: members.reduce((sum, member) => sum + parseFloat(member.spentAmount), 0)
+    };
+  });
+}
+
+/**
+ * Check a new parent for a category
+ * @param {Array<{id: number, parentId: number|null}>} categories - All categories of the budget
+ * @param {number|null} categoryId - Category being moved (null for a new category)
+ * @param {number} parentId - Proposed parent
+ * @returns {string|null} Error message, or null when the parent is allowed
+ */
+function findParentError(categories, categoryId, parentId) {
+  const parentsById = new Map(categories.map(category => [category.id, category.parentId]));
+
+  if (!parentsById.has(parentId)) {
+    return 'Parent category must belong to the same budget';
+  }
+
+  // Walk up from the new parent: reaching the category itself would close a cycle
+  for (let id = parentId; id !== null && id !== undefined; id = parentsById.get(id)) {
+    if (id === categoryId) {
+      return 'A category cannot be nested under itself or one of its subcategories';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Name of each category's parent within the same list, from `parent` (a name, as stored in
+ * templates) or `parentId`
+ * @param {Array<{name: string, parent?: string|null, parentId?: number|null}>} categories - Categories
+ * @returns {Array<string|null>} Parent names, in the same order
+ */
+function parentNames(categories) {
+  return categories.map(category => {
+    if (typeof category.parent === 'string') return category.parent;
+
+    const parent = categories.find(other => other.id !== undefined && other.id === category.parentId);
+    return parent ? parent.name : null;
+  });
+}
+
+/**
+ * Position of each category's parent within the same list, from `parentId` (matched against the
+ * other categories' `id`, so repeated names stay apart) or `parent` (a name, as stored in templates)
+ * @param {Array<{id?: number, name: string, parent?: string|null, parentId?: number|null}>} categories - Categories
+ * @returns {Array<number|null>} Parent positions (null for top-level categories), in the same order
+ */
+function parentIndexes(categories) {
+  return categories.map(category => {
+    const index = typeof category.parent === 'string'
+      ? categories.findIndex(other => other.name === category.parent)
+      : categories.findIndex(other => other.id !== undefined && other.id === category.parentId);
+
+    return index === -1 ? null : index;
+  });
+}
+
+module.exports = {
+  buildCategoryTree,
+  findParentError,
+  parentNames,
+  parentIndexes,
+  subtreeIds,
+  withSubtotals
+};
@@ -0,0 +1,197 @@
+// End-of-period spending forecast. Each category's remaining spending is projected from three
+// sources: its current burn rate, the average daily spending of earlier periods (weighted
+// towards the burn rate as the period goes on) and recurring transactions that have not
+// happened yet this period.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Earlier periods looked at for averages and recurring transactions
+const HISTORY_PERIODS = 3;
+
+// A transaction is recurring when the same description shows up in a category in every
+// one of at least this many earlier periods
+const MIN_RECURRING_PERIODS = 2;
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function netAmount(tx) {
+  return tx.type === 'expense' ? parseFloat(tx.amount) : -parseFloat(tx.amount);
+}
+
+function recurringKey(tx) {
+  const description = (tx.description || '').trim().toLowerCase();
+  return description ? `${tx.categoryId}:${description}` : null;
+}
+
+function periodDays(period) {
+  return (period.endDate.getTime() - period.startDate.getTime()) / DAY_MS;
+}
+
+/**
+ * Find recurring expenses: same category and description in every earlier period
+ * @param {Array<{startDate: Date, endDate: Date, transactions: Array}>} history - Earlier periods, newest first
+ * @returns {Map<string, {categoryId: number, description: string, amount: number, dayOffset: number}>}
+ *   Recurring expenses by key, with the amount and day (from period start) of their latest occurrence
+ */
+function detectRecurring(history) {
+  const recurring = new Map();
+  if (history.length < MIN_RECURRING_PERIODS) return recurring;
+
+  const keysByPeriod = history.map(period => new Set(
+    period.transactions.filter(tx => tx.type === 'expense').map(recurringKey).filter(Boolean)
+  ));
+
+  [...keysByPeriod[0]]
+    .filter(key => keysByPeriod.every(keys => keys.has(key)))
+    .forEach(key => {
+      const latest = history[0].transactions
+        .filter(tx => tx.type === 'expense' && recurringKey(tx) === key)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+
+      recurring.set(key, {
+        categoryId: latest.categoryId,
+        description: latest.description.trim(),
+        amount: parseFloat(latest.amount),
+        dayOffset: Math.floor((new Date(latest.date).getTime() - history[0].startDate.getTime()) / DAY_MS)
+      });
+    });
+
+  return recurring;
+}
+
+/**
+ * Project end-of-period spending of each category and the budget balance day by day
+ * @param {Object} options
+ * @param {{startDate: Date, endDate: Date}} options.period - Period to forecast
+ * @param {Date} options.asOf - Point in time the forecast is made (clamped to the period)
+ * @param {Array<{id: number, name: string, available: number}>} options.categories - Categories with
+ *   what they have to spend this period
+ * @param {Array} options.transactions - Transactions of the period so far
+ * @param {Array<{startDate: Date, endDate: Date, transactions: Array}>} options.history - Earlier
+ *   periods, newest first
+ * @param {number} options.openingBalance - Money available at the start of the period
+ * @returns {{asOf: Date, projectedSpend: number, projectedBalance: number, categories: Array, series: Array}}
+ */
+function forecastPeriod({ period, asOf, categories, transactions, history, openingBalance }) {
+  const start = period.startDate.getTime();
+  const end = period.endDate.getTime();
+  const now = Math.min(Math.max(asOf.getTime(), start), end);
+
+  const totalDays = periodDays(period);
+  const elapsedDays = (now - start) / DAY_MS;
+  const remainingDays = totalDays - elapsedDays;
+  const elapsed = transactions.filter(tx => new Date(tx.date).getTime() < now);
+
+  const recurring = detectRecurring(history);
+  const recurringKeys = new Set(recurring.keys());
+  const isRecurring = tx => tx.type === 'expense' && recurringKeys.has(recurringKey(tx));
+  const seenKeys = new Set(elapsed.filter(isRecurring).map(recurringKey));
+
+  // Recurring expenses still to come, on the same day of the period as last time
+  // (or straight away when they are late)
+  const upcoming = [...recurring.entries()]
+    .filter(([key]) => !seenKeys.has(key) && remainingDays > 0)
+    .map(([, item]) => ({
+      ...item,
+      date: new Date(Math.min(Math.max(start + item.dayOffset * DAY_MS, now), end - 1))
+    }));
+
+  // Daily spending rate of a category for the rest of the period, recurring expenses left out
+  const ratesFor = categoryId => {
+    const variableSpent = elapsed
+      .filter(tx => tx.categoryId === categoryId && !isRecurring(tx))
+      .reduce((sum, tx) => sum + netAmount(tx), 0);
+
+    const burnRate = elapsedDays >= 1 ? variableSpent / elapsedDays : null;
+    const historicalRate = history.length > 0
+      ? history.reduce((sum, past) => sum + past.transactions
+        .filter(tx => tx.categoryId === categoryId && !isRecurring(tx))
+        .reduce((total, tx) => total + netAmount(tx), 0) / periodDays(past), 0) / history.length
+      : null;
+
+    let dailyRate = 0;
+    if (burnRate !== null && historicalRate !== null) {
+      const weight = elapsedDays / totalDays;
+      dailyRate = weight * burnRate + (1 - weight) * historicalRate;
+    } else if (burnRate !== null || historicalRate !== null) {
+      dailyRate = burnRate !== null ? burnRate : historicalRate;
+    }
+
+    return { burnRate, historicalRate, dailyRate: Math.max(dailyRate, 0) };
+  };
+
+  const rates = categories.map(category => ratesFor(category.id));
+
+  const projections = categories.map((category, index) => {
+    const { burnRate, historicalRate, dailyRate } = rates[index];
+    const spent = elapsed
+      .filter(tx => tx.categoryId === category.id)
+      .reduce((sum, tx) => sum + netAmount(tx), 0);
+
+    const categoryUpcoming = upcoming.filter(item => item.categoryId === category.id);
+    const upcomingRecurring = categoryUpcoming.reduce((sum, item) => sum + item.amount, 0);
+    const projectedSpend = roundCents(spent + dailyRate * remainingDays + upcomingRecurring);
+    const available = parseFloat(category.available);
+
+    return {
+      categoryId: category.id,
+      name: category.name,
+      available,
+      spent: roundCents(spent),
+      burnRate: burnRate === null ? null : roundCents(burnRate),
+      historicalRate: historicalRate === null ? null : roundCents(historicalRate),
+      dailyRate: roundCents(dailyRate),
+      upcomingRecurring: categoryUpcoming.map(item => ({
+        description: item.description,
+        amount: item.amount,
+        date: item.date
+      })),
+      projectedSpend,
+      projectedRemaining: roundCents(available - projectedSpend),
+      expectedOverrun: projectedSpend > available
+    };
+  });
+
+  // Cumulative spending and balance at the end of every day of the period: actual
+  // up to asOf, projected after it
+  const totalDailyRate = rates.reduce((sum, rate) => sum + rate.dailyRate, 0);
+  const spentToDate = elapsed.reduce((sum, tx) => sum + netAmount(tx), 0);
+  const series = [];
+
+  for (let dayStart = start; dayStart < end; dayStart += DAY_MS) {
+    const dayEnd = Math.min(dayStart + DAY_MS, end);
+    const projected = dayEnd > now;
+
+    const spent = projected
+      ? spentToDate + totalDailyRate * (dayEnd - now) / DAY_MS + upcoming
+        .filter(item => item.date.getTime() < dayEnd)
+        .reduce((sum, item) => sum + item.amount, 0)
+      : elapsed
+        .filter(tx => new Date(tx.date).getTime() < dayEnd)
+        .reduce((sum, tx) => sum + netAmount(tx), 0);
+
+    series.push({
+      date: new Date(dayStart).toISOString().slice(0, 10),
+      spent: roundCents(spent),
+      balance: roundCents(openingBalance - spent),
+      projected
+    });
+  }
+
+  const projectedSpend = roundCents(projections.reduce((sum, category) => sum + category.projectedSpend, 0));
+
+  return {
+    asOf: new Date(now),
+    projectedSpend,
+    projectedBalance: roundCents(openingBalance - projectedSpend),
+    categories: projections,
+    series
+  };
+}
+
+module.exports = {
+  HISTORY_PERIODS,
+  detectRecurring,
+  forecastPeriod
+};
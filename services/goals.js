@@ -0,0 +1,52 @@
+// Savings goal progress
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+/**
+ * Progress of a goal towards its target
+ * @param {Object} goal - Goal with targetAmount and targetDate
+ * @param {Array<{amount: number|string}>} contributions - Contributions made so far
+ * @param {Date} [now] - Current time
+ * @returns {{savedAmount: number, remainingAmount: number, percentComplete: number, completed: boolean,
+ *   monthsRemaining: number|null, requiredMonthlyContribution: number|null, overdue: boolean}}
+ */
+function calculateProgress(goal, contributions, now = new Date()) {
+  const targetAmount = parseFloat(goal.targetAmount);
+  const savedAmount = Math.round(contributions.reduce((sum, contribution) => {
+    return sum + parseFloat(contribution.amount);
+  }, 0) * 100) / 100;
+  const remainingAmount = Math.max(Math.round((targetAmount - savedAmount) * 100) / 100, 0);
+  const completed = remainingAmount === 0;
+
+  const progress = {
+    savedAmount,
+    remainingAmount,
+    percentComplete: targetAmount > 0 ? Math.min(Math.round(savedAmount / targetAmount * 1000) / 10, 100) : 100,
+    completed,
+    monthsRemaining: null,
+    requiredMonthlyContribution: null,
+    overdue: false
+  };
+
+  if (!goal.targetDate || completed) return progress;
+
+  const daysRemaining = (new Date(goal.targetDate).getTime() - now.getTime()) / DAY_MS;
+
+  if (daysRemaining <= 0) {
+    // Past the target date: everything left is due now
+    return { ...progress, monthsRemaining: 0, requiredMonthlyContribution: remainingAmount, overdue: true };
+  }
+
+  // A partial month counts as a month to save in
+  const monthsRemaining = Math.max(Math.ceil(daysRemaining / DAYS_PER_MONTH), 1);
+
+  return {
+    ...progress,
+    monthsRemaining,
+    requiredMonthlyContribution: Math.ceil(remainingAmount / monthsRemaining * 100) / 100
+  };
+}
+
+module.exports = {
+  calculateProgress
+};
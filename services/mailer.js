@@ -0,0 +1,124 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Built-in mail transports. A transport is an object with an async
+ * `send(message)` method; pick one with MAIL_TRANSPORT.
+ */
+const transports = {
+  // Writes every message as a JSON file to the outbox directory (no SMTP needed)
+  outbox: {
+    async send(message) {
+      await fs.mkdir(config.mail.outboxDir, { recursive: true });
+      const fileName = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+      await fs.writeFile(
+        path.join(config.mail.outboxDir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    }
+  },
+
+  // Prints messages to stdout (useful on hosts without a writable disk)
+  console: {
+    async send(message) {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  }
+};
+
+/**
+ * Register a custom transport (e.g. SMTP or a provider API)
+ * @param {string} name - Transport name, referenced by MAIL_TRANSPORT
+ * @param {Object} transport - Object with an async send(message) method
+ */
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} The message as handed to the transport
+ */
+async function sendMail(message) {
+  const transport = transports[config.mail.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+
+  const fullMessage = {
+    id: crypto.randomBytes(8).toString('hex'),
+    from: config.mail.from,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    createdAt: new Date().toISOString()
+  };
+
+  await transport.send(fullMessage);
+  return fullMessage;
+}
+
+/**
+ * Send password reset link
+ * @param {Object} user - User (needs email and name)
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object>} Sent message
+ */
+async function sendPasswordResetEmail(user, token) {
+  const link = `${config.app.url}/reset-password?token=${token}`;
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Reset your Beven password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset your Beven password. Use the link below to choose a new one:',
+      '',
+      link,
+      '',
+      `The link expires in ${config.tokens.passwordResetTtlMinutes} minutes and can only be used once.`,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Send email address verification link
+ * @param {Object} user - User (needs email and name)
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} Sent message
+ */
+async function sendVerificationEmail(user, token) {
+  const link = `${config.app.url}/verify-email?token=${token}`;
+
+  return await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address for Beven:',
+      '',
+      link,
+      '',
+      `The link expires in ${Math.round(config.tokens.emailVerificationTtlMinutes / 60)} hours.`
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,57 @@
+// Roles and the permissions they grant. Kept apart from the preHandlers in
+// middleware/permissions.js so the authentication middleware can check permissions too.
+
+// Permission names: <resource>:<action>[:any]. ":any" grants access to other users' data.
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  USERS_SESSIONS_REVOKE: 'users:sessions:revoke',
+  USERS_IMPERSONATE: 'users:impersonate',
+  BUDGETS_READ_ANY: 'budgets:read:any',
+  AUDIT_READ: 'audit:read',
+  CACHE_READ: 'cache:read',
+  CACHE_FLUSH: 'cache:flush'
+};
+
+// Roles map to permission sets; '*' grants everything
+const ROLE_PERMISSIONS = {
+  user: [],
+  // Support staff can look at customer data but not change it
+  support: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.BUDGETS_READ_ANY,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.CACHE_READ
+  ],
+  admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]} Permission names ('*' expanded to all permissions)
+ */
+function getPermissions(role) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') ? Object.values(PERMISSIONS) : [...granted];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,46 @@
+const {
+  reachedThresholds,
+  reachedBudgetThresholds,
+  thresholdsFor,
+  DEFAULT_THRESHOLDS
+} = require('../db/alert-rules');
+
+describe('Budget Alert Tests', () => {
+  test('should find the thresholds reached by spending', () => {
+    expect(reachedThresholds([80, 100], 79.99, '100')).toEqual([]);
+    expect(reachedThresholds([80, 100], 80, '100')).toEqual([80]);
+    expect(reachedThresholds([80, 100], 120, '100')).toEqual([80, 100]);
+
+    // Nothing to compare against without an allocation
+    expect(reachedThresholds([80, 100], 50, '0')).toEqual([]);
+  });
+
+  test('should use the defaults for every scope without rules of its own', () => {
+    expect(thresholdsFor([], 7)).toEqual(DEFAULT_THRESHOLDS.category);
+    expect(thresholdsFor([], null)).toEqual(DEFAULT_THRESHOLDS.budget);
+
+    const rules = [
+      { categoryId: 7, thresholdPercent: 50 },
+      { categoryId: null, thresholdPercent: 90 }
+    ];
+    expect(thresholdsFor(rules, 7)).toEqual([50]);
+    expect(thresholdsFor(rules, 8)).toEqual(DEFAULT_THRESHOLDS.category);
+    expect(thresholdsFor(rules, null)).toEqual([90]);
+
+    // A category rule leaves the budget-wide default in place
+    expect(thresholdsFor([{ categoryId: 7, thresholdPercent: 50 }], null)).toEqual(DEFAULT_THRESHOLDS.budget);
+  });
+
+  test('should alert on a budget without rules only once it is overspent', () => {
+    expect(reachedBudgetThresholds([], 800, '800')).toEqual([]);
+    expect(reachedBudgetThresholds([], 0.1 + 0.2, '0.3')).toEqual([]);
+    expect(reachedBudgetThresholds([], 800.01, '800')).toEqual(DEFAULT_THRESHOLDS.budget);
+    expect(reachedBudgetThresholds([], 50, '0')).toEqual([]);
+
+    // Budget-wide rules count as reached at exactly their threshold
+    expect(reachedBudgetThresholds([{ categoryId: null, thresholdPercent: 100 }], 800, '800')).toEqual([100]);
+
+    // Category rules leave the default in place
+    expect(reachedBudgetThresholds([{ categoryId: 7, thresholdPercent: 50 }], 800, '800')).toEqual([]);
+  });
+});
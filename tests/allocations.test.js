@@ -0,0 +1,47 @@
+const {
+  summarizeAllocations,
+  overAllocationWarning,
+  rebalanceAllocations
+} = require('../services/allocations');
+
+describe('Allocation Tests', () => {
+  test('should report unallocated and over-allocated amounts', () => {
+    expect(summarizeAllocations('2000', ['500', 700.5])).toEqual({
+      totalAllocated: 1200.5,
+      unallocated: 799.5,
+      overAllocated: false
+    });
+
+    const over = summarizeAllocations(1000, [600, 500]);
+    expect(over.overAllocated).toBe(true);
+    expect(over.unallocated).toBe(-100);
+    expect(overAllocationWarning(over)).toBe('Categories allocate 1100.00, 100.00 more than the budget amount');
+  });
+
+  test('should rebalance proportionally to the exact cent', () => {
+    const categories = [
+      { id: 1, allocatedAmount: '100' },
+      { id: 2, allocatedAmount: '100' },
+      { id: 3, allocatedAmount: '100' }
+    ];
+
+    const rebalanced = rebalanceAllocations(categories, 100);
+    expect(rebalanced.map(category => category.id)).toEqual([1, 2, 3]);
+    expect(rebalanced.reduce((sum, category) => sum + category.allocatedAmount * 100, 0)).toBe(10000);
+    expect(rebalanced.map(category => category.allocatedAmount).sort()).toEqual([33.33, 33.33, 33.34]);
+
+    expect(rebalanceAllocations([
+      { id: 1, allocatedAmount: 600 },
+      { id: 2, allocatedAmount: 1800 }
+    ], 2000).map(category => category.allocatedAmount)).toEqual([500, 1500]);
+  });
+
+  test('should split evenly when nothing is allocated', () => {
+    expect(rebalanceAllocations([
+      { id: 1, allocatedAmount: 0 },
+      { id: 2, allocatedAmount: 0 }
+    ], 50).map(category => category.allocatedAmount)).toEqual([25, 25]);
+
+    expect(rebalanceAllocations([], 50)).toEqual([]);
+  });
+});
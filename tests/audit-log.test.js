@@ -0,0 +1,35 @@
+const { diff } = require('../db/audit-log');
+
+describe('Audit Log Tests', () => {
+  test('should keep only the changed fields of an update', () => {
+    const before = { id: 1, name: 'Groceries', amount: '100', updatedAt: new Date('2025-01-01') };
+    const after = { id: 1, name: 'Food', amount: '100', updatedAt: new Date('2025-01-02') };
+
+    expect(diff(before, after)).toEqual({
+      before: { name: 'Groceries' },
+      after: { name: 'Food' }
+    });
+  });
+
+  test('should snapshot the whole record on create and delete', () => {
+    const record = { id: 7, name: 'Rent', startDate: new Date('2025-01-01T00:00:00.000Z') };
+
+    expect(diff(null, record)).toEqual({
+      before: null,
+      after: { id: 7, name: 'Rent', startDate: '2025-01-01T00:00:00.000Z' }
+    });
+    expect(diff(record, null).after).toBeNull();
+  });
+
+  test('should drop relations and secrets from snapshots', () => {
+    const record = {
+      id: 3,
+      email: 'user@example.com',
+      password: 'hashed',
+      categories: [{ id: 1 }],
+      budget: { id: 2 }
+    };
+
+    expect(diff(null, record).after).toEqual({ id: 3, email: 'user@example.com' });
+  });
+});
@@ -0,0 +1,524 @@
+const fastify = require('fastify');
+const { PrismaClient } = require('@prisma/client');
+
+// Use test database URL if available, otherwise use production (for local dev testing)
+const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+if (testDbUrl) {
+  process.env.DATABASE_URL = testDbUrl;
+}
+
+// Create a Prisma client for direct DB access in tests
+const prisma = new PrismaClient();
+
+// Capture outgoing mail in memory
+const config = require('../config');
+const { registerTransport } = require('../services/mailer');
+const sentMail = [];
+registerTransport('test', { send: async (message) => { sentMail.push(message); } });
+config.mail.transport = 'test';
+
+function tokenFromLastMail(path) {
+  const match = sentMail[sentMail.length - 1].text.match(new RegExp(`${path}\\?token=([a-f0-9]+)`));
+  return match && match[1];
+}
+
+// Helper to create test app
+async function buildApp() {
+  const app = fastify({
+    logger: false
+  });
+
+  app.register(require('@fastify/jwt'), {
+    secret: 'test-secret'
+  });
+
+  app.register(require('../routes/auth'), { prefix: '/api' });
+  app.register(require('../routes/admin'), { prefix: '/api' });
+
+  await app.ready();
+  return app;
+}
+
+describe('Auth API Integration Tests', () => {
+  let app;
+
+  async function login() {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/auth/login',
+      payload: {
+        email: 'test@example.com',
+        password: 'password123'
+      }
+    });
+
+    expect(response.statusCode).toBe(200);
+    return JSON.parse(response.body).data;
+  }
+
+  function refresh(refreshToken) {
+    return app.inject({
+      method: 'POST',
+      url: '/api/auth/refresh',
+      payload: { refreshToken }
+    });
+  }
+
+  function me(token) {
+    return app.inject({
+      method: 'GET',
+      url: '/api/auth/me',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+  }
+
+  beforeAll(async () => {
+    app = await buildApp();
+  });
+
+  afterAll(async () => {
+    if (app) {
+      await app.close();
+    }
+    await prisma.$disconnect();
+  });
+
+  beforeEach(async () => {
+    try {
+      await prisma.session.deleteMany({});
+      await prisma.oneTimeToken.deleteMany({});
+      await prisma.auditLog.deleteMany({});
+      await prisma.user.deleteMany({});
+    } catch (error) {
+      // Ignore cleanup errors if database doesn't exist
+      console.warn('Cleanup warning:', error.message);
+    }
+
+    const registerResponse = await app.inject({
+      method: 'POST',
+      url: '/api/auth/register',
+      payload: {
+        email: 'test@example.com',
+        password: 'password123',
+        name: 'Test User'
+      }
+    });
+
+    expect(registerResponse.statusCode).toBe(201);
+  });
+
+  describe('Refresh Token Rotation', () => {
+    test('should return an access token and a refresh token on login', async () => {
+      const tokens = await login();
+
+      expect(tokens.token).toBeDefined();
+      expect(tokens.refreshToken).toBeDefined();
+
+      const meResponse = await me(tokens.token);
+      expect(meResponse.statusCode).toBe(200);
+    });
+
+    test('should rotate the refresh token on refresh', async () => {
+      const tokens = await login();
+
+      const refreshResponse = await refresh(tokens.refreshToken);
+      expect(refreshResponse.statusCode).toBe(200);
+
+      const refreshed = JSON.parse(refreshResponse.body).data;
+      expect(refreshed.token).toBeDefined();
+      expect(refreshed.refreshToken).not.toBe(tokens.refreshToken);
+
+      const meResponse = await me(refreshed.token);
+      expect(meResponse.statusCode).toBe(200);
+    });
+
+    test('should revoke the whole session when a used refresh token is replayed', async () => {
+      const tokens = await login();
+
+      const firstRefresh = await refresh(tokens.refreshToken);
+      const refreshed = JSON.parse(firstRefresh.body).data;
+
+      // Replaying the old token is treated as theft
+      const replay = await refresh(tokens.refreshToken);
+      expect(replay.statusCode).toBe(401);
+
+      // The legitimate holder's tokens die with the session
+      const legitRefresh = await refresh(refreshed.refreshToken);
+      expect(legitRefresh.statusCode).toBe(401);
+
+      const meResponse = await me(refreshed.token);
+      expect(meResponse.statusCode).toBe(401);
+    });
+
+    test('should not revoke the session for a refresh token with a wrong secret', async () => {
+      const tokens = await login();
+      const sessionId = tokens.refreshToken.split('.')[0];
+
+      // Session ids are guessable, so a forged token must not log the user out
+      const forged = await refresh(`${sessionId}.not-the-secret`);
+      expect(forged.statusCode).toBe(401);
+
+      const legitRefresh = await refresh(tokens.refreshToken);
+      expect(legitRefresh.statusCode).toBe(200);
+
+      const meResponse = await me(tokens.token);
+      expect(meResponse.statusCode).toBe(200);
+    });
+
+    test('should reject malformed refresh tokens', async () => {
+      const response = await refresh('not-a-token');
+      expect(response.statusCode).toBe(401);
+    });
+  });
+
+  describe('Session Management', () => {
+    test('should list active sessions and flag the current one', async () => {
+      const first = await login();
+      await login();
+
+      const response = await app.inject({
+        method: 'GET',
+        url: '/api/auth/sessions',
+        headers: {
+          'Authorization': `Bearer ${first.token}`
+        }
+      });
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      // One session from registration plus two logins
+      expect(body.data.length).toBe(3);
+      expect(body.data.filter(session => session.current).length).toBe(1);
+      expect(body.data[0].device).toBeDefined();
+    });
+
+    test('should log out everywhere else but keep the current session', async () => {
+      const phone = await login();
+      const laptop = await login();
+
+      const response = await app.inject({
+        method: 'DELETE',
+        url: '/api/auth/sessions',
+        headers: {
+          'Authorization': `Bearer ${laptop.token}`
+        }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect((await me(laptop.token)).statusCode).toBe(200);
+      expect((await me(phone.token)).statusCode).toBe(401);
+    });
+  });
+
+  describe('Email Verification', () => {
+    test('should verify the email address with the token from the verification email', async () => {
+      const token = tokenFromLastMail('/verify-email');
+      expect(token).toBeTruthy();
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/auth/verify-email',
+        payload: { token }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).data.user.emailVerifiedAt).toBeTruthy();
+
+      // Tokens are single-use
+      const replay = await app.inject({
+        method: 'POST',
+        url: '/api/auth/verify-email',
+        payload: { token }
+      });
+      expect(replay.statusCode).toBe(400);
+    });
+  });
+
+  describe('Password Reset', () => {
+    test('should reset the password and log out existing sessions', async () => {
+      const tokens = await login();
+
+      await app.inject({
+        method: 'POST',
+        url: '/api/auth/password/forgot',
+        payload: { email: 'test@example.com' }
+      });
+
+      const resetResponse = await app.inject({
+        method: 'POST',
+        url: '/api/auth/password/reset',
+        payload: { token: tokenFromLastMail('/reset-password'), password: 'new-password-456' }
+      });
+
+      expect(resetResponse.statusCode).toBe(200);
+      expect((await me(tokens.token)).statusCode).toBe(401);
+
+      const loginResponse = await app.inject({
+        method: 'POST',
+        url: '/api/auth/login',
+        payload: { email: 'test@example.com', password: 'new-password-456' }
+      });
+      expect(loginResponse.statusCode).toBe(200);
+    });
+
+    test('should reject a missing or non-string password', async () => {
+      for (const payload of [{ token: 'abc' }, { token: 'abc', password: null }, { token: 'abc', password: { length: 20 } }]) {
+        const response = await app.inject({
+          method: 'POST',
+          url: '/api/auth/password/reset',
+          payload
+        });
+        expect(response.statusCode).toBe(400);
+      }
+    });
+  });
+
+  describe('Account Management', () => {
+    test('should change the password and log out other sessions', async () => {
+      const phone = await login();
+      const laptop = await login();
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/auth/me/password',
+        headers: {
+          'Authorization': `Bearer ${laptop.token}`
+        },
+        payload: { currentPassword: 'password123', newPassword: 'new-password-456' }
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect((await me(laptop.token)).statusCode).toBe(200);
+      expect((await me(phone.token)).statusCode).toBe(401);
+    });
+
+    test('should reject a non-string new password', async () => {
+      const tokens = await login();
+
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/auth/me/password',
+        headers: {
+          'Authorization': `Bearer ${tokens.token}`
+        },
+        payload: { currentPassword: 'password123', newPassword: { length: 20 } }
+      });
+
+      expect(response.statusCode).toBe(400);
+      expect((await me(tokens.token)).statusCode).toBe(200);
+    });
+
+    test('should record account changes in the audit log without secrets', async () => {
+      const tokens = await login();
+      const headers = { 'Authorization': `Bearer ${tokens.token}` };
+
+      await app.inject({
+        method: 'POST',
+        url: '/api/auth/me/password',
+        headers,
+        payload: { currentPassword: 'password123', newPassword: 'new-password-456' }
+      });
+      await app.inject({
+        method: 'POST',
+        url: '/api/auth/tokens',
+        headers,
+        payload: { name: 'CI' }
+      });
+
+      const auditResponse = await app.inject({
+        method: 'GET',
+        url: '/api/audit',
+        headers
+      });
+
+      expect(auditResponse.statusCode).toBe(200);
+      const entries = JSON.parse(auditResponse.body).data;
+      expect(entries.map(entry => entry.action)).toEqual(expect.arrayContaining([
+        'user.password_change',
+        'personal_access_token.create'
+      ]));
+
+      const tokenEntry = entries.find(entry => entry.action === 'personal_access_token.create');
+      expect(tokenEntry.after.name).toBe('CI');
+      expect(tokenEntry.after.token).toBeUndefined();
+      expect(tokenEntry.after.tokenHash).toBeUndefined();
+    });
+
+    test('should require confirmation to delete the account', async () => {
+      const tokens = await login();
+      const headers = { 'Authorization': `Bearer ${tokens.token}` };
+
+      const unconfirmed = await app.inject({
+        method: 'DELETE',
+        url: '/api/auth/me',
+        headers,
+        payload: { password: 'password123' }
+      });
+      expect(unconfirmed.statusCode).toBe(400);
+
+      const confirmed = await app.inject({
+        method: 'DELETE',
+        url: '/api/auth/me',
+        headers,
+        payload: { password: 'password123', confirm: 'DELETE' }
+      });
+      expect(confirmed.statusCode).toBe(200);
+      expect(await prisma.user.findUnique({ where: { email: 'test@example.com' } })).toBeNull();
+    });
+  });
+
+  describe('Admin Permissions', () => {
+    test('should not let an admin personal access token use admin routes', async () => {
+      await prisma.user.update({ where: { email: 'test@example.com' }, data: { role: 'admin' } });
+      const tokens = await login();
+
+      const tokenResponse = await app.inject({
+        method: 'POST',
+        url: '/api/auth/tokens',
+        headers: {
+          'Authorization': `Bearer ${tokens.token}`
+        },
+        payload: { name: 'Script', scope: 'read_write' }
+      });
+      const accessToken = JSON.parse(tokenResponse.body).data.token;
+
+      const withToken = await app.inject({
+        method: 'GET',
+        url: '/api/admin/users',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      expect(withToken.statusCode).toBe(403);
+
+      const withSession = await app.inject({
+        method: 'GET',
+        url: '/api/admin/users',
+        headers: {
+          'Authorization': `Bearer ${tokens.token}`
+        }
+      });
+      expect(withSession.statusCode).toBe(200);
+    });
+
+    test('should audit a forced password reset even when the email fails', async () => {
+      await app.inject({
+        method: 'POST',
+        url: '/api/auth/register',
+        payload: { email: 'admin@example.com', password: 'password123', name: 'Admin' }
+      });
+      await prisma.user.update({ where: { email: 'admin@example.com' }, data: { role: 'admin' } });
+      const adminLogin = await app.inject({
+        method: 'POST',
+        url: '/api/auth/login',
+        payload: { email: 'admin@example.com', password: 'password123' }
+      });
+      const adminToken = JSON.parse(adminLogin.body).data.token;
+      const target = await prisma.user.findUnique({ where: { email: 'test@example.com' } });
+
+      registerTransport('failing', { send: async () => { throw new Error('SMTP down'); } });
+      config.mail.transport = 'failing';
+      try {
+        const response = await app.inject({
+          method: 'POST',
+          url: `/api/admin/users/${target.id}/password-reset`,
+          headers: {
+            'Authorization': `Bearer ${adminToken}`
+          }
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).data.emailSent).toBe(false);
+      } finally {
+        config.mail.transport = 'test';
+      }
+
+      const entry = await prisma.auditLog.findFirst({
+        where: { action: 'admin.user.force_password_reset', entityId: target.id }
+      });
+      expect(entry.metadata).toEqual({ emailSent: false });
+    });
+  });
+
+  describe('Impersonation', () => {
+    async function impersonate(payload = { reason: 'Ticket #123' }) {
+      await app.inject({
+        method: 'POST',
+        url: '/api/auth/register',
+        payload: { email: 'admin@example.com', password: 'password123', name: 'Admin' }
+      });
+      await prisma.user.update({ where: { email: 'admin@example.com' }, data: { role: 'admin' } });
+
+      const adminLogin = await app.inject({
+        method: 'POST',
+        url: '/api/auth/login',
+        payload: { email: 'admin@example.com', password: 'password123' }
+      });
+      const adminToken = JSON.parse(adminLogin.body).data.token;
+      const target = await prisma.user.findUnique({ where: { email: 'test@example.com' } });
+
+      const response = await app.inject({
+        method: 'POST',
+        url: `/api/admin/users/${target.id}/impersonate`,
+        headers: {
+          'Authorization': `Bearer ${adminToken}`
+        },
+        payload
+      });
+
+      expect(response.statusCode).toBe(200);
+      return { adminToken, target, token: JSON.parse(response.body).data.token };
+    }
+
+    test('should act as the user and expose the impersonating admin', async () => {
+      const { target, token } = await impersonate();
+
+      const response = await me(token);
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['x-impersonated-by']).toBeDefined();
+
+      const data = JSON.parse(response.body).data;
+      expect(data.user.id).toBe(target.id);
+      expect(data.impersonatedBy.email).toBe('admin@example.com');
+    });
+
+    test('should block writes and record every request', async () => {
+      const { target, token } = await impersonate();
+
+      await me(token);
+      const write = await app.inject({
+        method: 'DELETE',
+        url: '/api/auth/sessions',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      expect(write.statusCode).toBe(403);
+
+      const entries = await prisma.auditLog.findMany({
+        where: { action: 'impersonation.request', entityId: target.id },
+        orderBy: { id: 'asc' }
+      });
+      expect(entries.map(entry => entry.metadata.blocked)).toEqual([false, true]);
+    });
+
+    test('should stop working when the admin loses the impersonation permission', async () => {
+      const { token } = await impersonate();
+
+      await prisma.user.update({ where: { email: 'admin@example.com' }, data: { role: 'support' } });
+
+      expect((await me(token)).statusCode).toBe(403);
+    });
+
+    test('should stop working when the admin session is revoked', async () => {
+      const { adminToken, token } = await impersonate();
+
+      await prisma.session.updateMany({ data: { revokedAt: new Date() } });
+
+      expect((await me(adminToken)).statusCode).toBe(401);
+      expect((await me(token)).statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const fastify = require('fastify');
+const { PrismaClient } = require('@prisma/client');
+
+// Use test database URL if available, otherwise use production (for local dev testing)
+const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+if (testDbUrl) {
+  process.env.DATABASE_URL = testDbUrl;
+}
+
+// Create a Prisma client for direct DB access in tests
+const prisma = new PrismaClient();
+
+// Helper to create test app
+async function buildApp() {
+  const app = fastify({
+    logger: false
+  });
+
+  app.register(require('@fastify/jwt'), {
+    secret: 'test-secret'
+  });
+
+  app.register(require('../routes/auth'), { prefix: '/api' });
+  app.register(require('../routes/budgets'), { prefix: '/api' });
+  app.register(require('../routes/budget-members'), { prefix: '/api' });
+  app.register(require('../routes/categories'), { prefix: '/api' });
+  app.register(require('../routes/transactions'), { prefix: '/api' });
+
+  await app.ready();
+  return app;
+}
+
+describe('Shared Budget Integration Tests', () => {
+  let app;
+  let owner;
+  let partner;
+  let budgetId;
+  let categoryId;
+
+  async function register(email, name) {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/auth/register',
+      payload: { email, password: 'password123', name }
+    });
+
+    expect(response.statusCode).toBe(201);
+    const data = JSON.parse(response.body).data;
+    return { id: data.user.id, headers: { 'Authorization': `Bearer ${data.token}` } };
+  }
+
+  // Owner invites the partner through a connection and the partner accepts
+  async function share(role) {
+    const connection = await prisma.connection.create({
+      data: { userId: owner.id, name: 'Partner', email: 'partner@example.com' }
+    });
+
+    const inviteResponse = await app.inject({
+      method: 'POST',
+      url: `/api/budgets/${budgetId}/members`,
+      headers: owner.headers,
+      payload: { connectionId: connection.id, role }
+    });
+    expect(inviteResponse.statusCode).toBe(201);
+
+    const invitations = JSON.parse((await app.inject({
+      method: 'GET',
+      url: '/api/budget-invitations',
+      headers: partner.headers
+    })).body).data;
+    expect(invitations).toHaveLength(1);
+
+    const acceptResponse = await app.inject({
+      method: 'POST',
+      url: `/api/budget-invitations/${invitations[0].id}/accept`,
+      headers: partner.headers
+    });
+    expect(acceptResponse.statusCode).toBe(200);
+  }
+
+  function addTransaction(user) {
+    return app.inject({
+      method: 'POST',
+      url: '/api/transactions',
+      headers: user.headers,
+      payload: { budgetId, categoryId, amount: 42, description: 'Groceries' }
+    });
+  }
+
+  beforeAll(async () => {
+    app = await buildApp();
+  });
+
+  afterAll(async () => {
+    if (app) {
+      await app.close();
+    }
+    await prisma.$disconnect();
+  });
+
+  beforeEach(async () => {
+    try {
+      await prisma.budgetMember.deleteMany({});
+      await prisma.connection.deleteMany({});
+      await prisma.transaction.deleteMany({});
+      await prisma.category.deleteMany({});
+      await prisma.budget.deleteMany({});
+      await prisma.household.deleteMany({});
+      await prisma.user.deleteMany({});
+    } catch (error) {
+      // Ignore cleanup errors if database doesn't exist
+      console.warn('Cleanup warning:', error.message);
+    }
+
+    owner = await register('owner@example.com', 'Owner');
+    partner = await register('partner@example.com', 'Partner');
+
+    const budgetResponse = await app.inject({
+      method: 'POST',
+      url: '/api/budgets',
+      headers: owner.headers,
+      payload: { name: 'Household', amount: 3000, period: 'monthly', startDate: '2025-11-01' }
+    });
+    budgetId = JSON.parse(budgetResponse.body).data.id;
+
+    const categoryResponse = await app.inject({
+      method: 'POST',
+      url: `/api/budgets/${budgetId}/categories`,
+      headers: owner.headers,
+      payload: { name: 'Food', allocatedAmount: 600 }
+    });
+    categoryId = JSON.parse(categoryResponse.body).data.id;
+  });
+
+  test('should hide a budget from users who are not members', async () => {
+    const response = await app.inject({
+      method: 'GET',
+      url: `/api/budgets/${budgetId}`,
+      headers: partner.headers
+    });
+    expect(response.statusCode).toBe(404);
+
+    expect((await addTransaction(partner)).statusCode).toBe(404);
+  });
+
+  test('should not grant access before the invitation is accepted', async () => {
+    const connection = await prisma.connection.create({
+      data: { userId: owner.id, name: 'Partner', email: 'partner@example.com' }
+    });
+
+    await app.inject({
+      method: 'POST',
+      url: `/api/budgets/${budgetId}/members`,
+      headers: owner.headers,
+      payload: { connectionId: connection.id, role: 'editor' }
+    });
+
+    const budgets = JSON.parse((await app.inject({
+      method: 'GET',
+      url: '/api/budgets',
+      headers: partner.headers
+    })).body).data;
+    expect(budgets).toHaveLength(0);
+  });
+
+  test('should let editors add transactions to a shared budget', async () => {
+    await share('editor');
+
+    const budgets = JSON.parse((await app.inject({
+      method: 'GET',
+      url: '/api/budgets',
+      headers: partner.headers
+    })).body).data;
+    expect(budgets).toHaveLength(1);
+    expect(budgets[0].role).toBe('editor');
+
+    const response = await addTransaction(partner);
+    expect(response.statusCode).toBe(201);
+
+    // The owner sees the partner's transaction
+    const ownerView = JSON.parse((await app.inject({
+      method: 'GET',
+      url: `/api/budgets/${budgetId}/transactions`,
+      headers: owner.headers
+    })).body).data;
+    expect(ownerView).toHaveLength(1);
+
+    // Editors cannot change the budget itself
+    const updateResponse = await app.inject({
+      method: 'PUT',
+      url: `/api/budgets/${budgetId}`,
+      headers: partner.headers,
+      payload: { name: 'Mine now', amount: 1, period: 'monthly', startDate: '2025-11-01' }
+    });
+    expect(updateResponse.statusCode).toBe(403);
+  });
+
+  test('should update shared categories when a member deletes their account', async () => {
+    await share('editor');
+    expect((await addTransaction(partner)).statusCode).toBe(201);
+    expect(parseFloat((await prisma.category.findUnique({ where: { id: categoryId } })).spentAmount)).toBe(42);
+
+    const deleteResponse = await app.inject({
+      method: 'DELETE',
+      url: '/api/auth/me',
+      headers: partner.headers,
+      payload: { password: 'password123', confirm: 'DELETE' }
+    });
+    expect(deleteResponse.statusCode).toBe(200);
+
+    const category = await prisma.category.findUnique({ where: { id: categoryId } });
+    expect(parseFloat(category.spentAmount)).toBe(0);
+  });
+
+  test('should keep viewers read-only', async () => {
+    await share('viewer');
+
+    const categories = await app.inject({
+      method: 'GET',
+      url: `/api/budgets/${budgetId}/categories`,
+      headers: partner.headers
+    });
+    expect(JSON.parse(categories.body).data).toHaveLength(1);
+
+    expect((await addTransaction(partner)).statusCode).toBe(403);
+
+    const deleteResponse = await app.inject({
+      method: 'DELETE',
+      url: `/api/categories/${categoryId}`,
+      headers: partner.headers
+    });
+    expect(deleteResponse.statusCode).toBe(403);
+  });
+
+  test('should let a member leave a shared budget', async () => {
+    await share('viewer');
+
+    const members = JSON.parse((await app.inject({
+      method: 'GET',
+      url: `/api/budgets/${budgetId}/members`,
+      headers: partner.headers
+    })).body).data;
+    expect(members.creator.id).toBe(owner.id);
+
+    const leaveResponse = await app.inject({
+      method: 'DELETE',
+      url: `/api/budgets/${budgetId}/members/${members.members[0].id}`,
+      headers: partner.headers
+    });
+    expect(leaveResponse.statusCode).toBe(200);
+
+    const response = await app.inject({
+      method: 'GET',
+      url: `/api/budgets/${budgetId}`,
+      headers: partner.headers
+    });
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  computeCarryover,
+  getPeriod,
+  getPeriodAt,
+  periodIndexAt,
+  listPeriods,
+  isInPeriod
+} = require('../services/budget-periods');
+
+const monthly = { period: 'monthly', startDate: '2025-01-31T00:00:00.000Z', endDate: null };
+
+describe('Budget Period Tests', () => {
+  test('should keep the start day of month, clamped to short months', () => {
+    expect(getPeriod(monthly, 1).startDate.toISOString()).toBe('2025-02-28T00:00:00.000Z');
+    expect(getPeriod(monthly, 2).startDate.toISOString()).toBe('2025-03-31T00:00:00.000Z');
+    expect(getPeriod(monthly, 1).endDate.toISOString()).toBe('2025-03-31T00:00:00.000Z');
+  });
+
+  test('should find the period containing a date', () => {
+    expect(periodIndexAt(monthly, '2025-03-15T12:00:00.000Z')).toBe(1);
+    expect(periodIndexAt(monthly, '2025-03-31T00:00:00.000Z')).toBe(2);
+    expect(periodIndexAt(monthly, '2025-01-01T00:00:00.000Z')).toBe(-1);
+
+    const weekly = { period: 'weekly', startDate: '2025-01-06T00:00:00.000Z' };
+    expect(periodIndexAt(weekly, '2025-01-19T23:59:59.000Z')).toBe(1);
+
+    const yearly = { period: 'yearly', startDate: '2024-07-01T00:00:00.000Z' };
+    expect(periodIndexAt(yearly, '2025-06-30T00:00:00.000Z')).toBe(0);
+    expect(periodIndexAt(yearly, '2025-07-01T00:00:00.000Z')).toBe(1);
+  });
+
+  test('should clamp the current period to the budget dates', () => {
+    expect(getPeriodAt(monthly, '2024-12-01T00:00:00.000Z').index).toBe(0);
+
+    const finished = { ...monthly, endDate: '2025-04-15T00:00:00.000Z' };
+    expect(getPeriodAt(finished, '2026-01-01T00:00:00.000Z').index).toBe(2);
+    expect(listPeriods(finished, new Date('2026-01-01T00:00:00.000Z'))).toHaveLength(3);
+  });
+
+  test('should treat the period end as exclusive', () => {
+    const period = getPeriod(monthly, 0);
+
+    expect(isInPeriod('2025-01-31T00:00:00.000Z', period)).toBe(true);
+    expect(isInPeriod('2025-02-27T23:59:59.999Z', period)).toBe(true);
+    expect(isInPeriod('2025-02-28T00:00:00.000Z', period)).toBe(false);
+  });
+
+  test('should carry leftover allocations according to the rollover policy', () => {
+    const category = { allocatedAmount: '100', rolloverCap: null };
+    // Underspent by 40, then overspent by 70
+    const spentByPeriod = [60, 170];
+
+    expect(computeCarryover({ ...category, rolloverPolicy: 'none' }, spentByPeriod)).toBe(0);
+    expect(computeCarryover({ ...category, rolloverPolicy: 'surplus' }, spentByPeriod)).toBe(0);
+    expect(computeCarryover({ ...category, rolloverPolicy: 'surplus' }, [60])).toBe(40);
+    expect(computeCarryover({ ...category, rolloverPolicy: 'surplus_and_deficit' }, spentByPeriod)).toBe(-30);
+    expect(computeCarryover({ ...category, rolloverPolicy: 'cap', rolloverCap: '25' }, [60, 80])).toBe(25);
+  });
+});
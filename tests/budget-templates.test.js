@@ -0,0 +1,59 @@
+const { BUILT_IN_TEMPLATES, scaleCategories, categoriesLayout } = require('../db/budget-templates');
+const { PERIODS, ROLLOVER_POLICIES } = require('../services/budget-periods');
+
+describe('Budget Template Tests', () => {
+  test('should ship built-in templates that allocate their whole amount', () => {
+    expect(BUILT_IN_TEMPLATES.length).toBeGreaterThan(0);
+
+    BUILT_IN_TEMPLATES.forEach(template => {
+      const allocated = template.categories.reduce((sum, category) => sum + category.allocatedAmount, 0);
+
+      expect(typeof template.id).toBe('string');
+      expect(PERIODS).toContain(template.period);
+      expect(allocated).toBe(template.amount);
+      template.categories.forEach(category => {
+        expect(ROLLOVER_POLICIES).toContain(category.rolloverPolicy);
+      });
+    });
+  });
+
+  test('should scale allocations to a different budget amount', () => {
+    const template = {
+      amount: '3000',
+      categories: [
+        { name: 'Needs', allocatedAmount: 1500 },
+        { name: 'Wants', allocatedAmount: 1000 },
+        { name: 'Savings', allocatedAmount: 500 }
+      ]
+    };
+
+    expect(scaleCategories(template, 1000).map(category => category.allocatedAmount)).toEqual([500, 333.33, 166.67]);
+    expect(scaleCategories(template).map(category => category.allocatedAmount)).toEqual([1500, 1000, 500]);
+  });
+
+  test('should keep parents (by name) and library links in layouts', () => {
+    const layout = categoriesLayout([
+      { id: 10, name: 'Food', parentId: null, allocatedAmount: '0', rolloverPolicy: 'none', rolloverCap: null },
+      { id: 11, name: 'Groceries', parentId: 10, libraryCategoryId: 7, allocatedAmount: '300', rolloverCap: null }
+    ]);
+
+    expect(layout).toEqual([
+      {
+        name: 'Food',
+        allocatedAmount: 0,
+        rolloverPolicy: 'none',
+        rolloverCap: null,
+        parent: null,
+        libraryCategoryId: null
+      },
+      {
+        name: 'Groceries',
+        allocatedAmount: 300,
+        rolloverPolicy: 'none',
+        rolloverCap: null,
+        parent: 'Food',
+        libraryCategoryId: 7
+      }
+    ]);
+  });
+});
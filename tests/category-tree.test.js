@@ -0,0 +1,77 @@
+const {
+  buildCategoryTree,
+  findParentError,
+  parentNames,
+  parentIndexes,
+  subtreeIds,
+  withSubtotals
+} = require('../services/category-tree');
+
+const categories = [
+  { id: 1, name: 'Food', parentId: null, allocatedAmount: '50', spentAmount: 10 },
+  { id: 2, name: 'Groceries', parentId: 1, allocatedAmount: '300', spentAmount: 120.5 },
+  { id: 3, name: 'Restaurants', parentId: 1, allocatedAmount: '150', spentAmount: 80 },
+  { id: 4, name: 'Coffee', parentId: 3, allocatedAmount: '20', spentAmount: 5 },
+  { id: 5, name: 'Rent', parentId: null, allocatedAmount: '1000', spentAmount: 1000 }
+];
+
+describe('Category Tree Tests', () => {
+  test('should nest subcategories and roll up allocations and spending', () => {
+    const tree = buildCategoryTree(categories);
+
+    expect(tree.map(category => category.name)).toEqual(['Food', 'Rent']);
+    expect(tree[0].children.map(category => category.name)).toEqual(['Groceries', 'Restaurants']);
+    expect(tree[0].children[1].children[0]).toMatchObject({ name: 'Coffee', children: [], totalAllocated: 20 });
+    expect(tree[0].children[1]).toMatchObject({ totalAllocated: 170, totalSpent: 85 });
+    expect(tree[0]).toMatchObject({ totalAllocated: 520, totalSpent: 215.5 });
+    expect(tree[1]).toMatchObject({ totalAllocated: 1000, totalSpent: 1000 });
+  });
+
+  test('should add subtotals to a flat list without reordering it', () => {
+    const flat = withSubtotals(categories);
+
+    expect(flat.map(category => category.name)).toEqual(categories.map(category => category.name));
+    expect(flat[0]).toMatchObject({ parentId: null, totalAllocated: 520, totalSpent: 215.5 });
+    expect(flat[2]).toMatchObject({ parentId: 1, totalAllocated: 170, totalSpent: 85 });
+    expect(flat[3]).toMatchObject({ totalAllocated: 20, totalSpent: 5 });
+  });
+
+  test('should list each category with its subcategories at any depth', () => {
+    const subtrees = subtreeIds(categories);
+
+    expect(subtrees.get(1)).toEqual([1, 2, 3, 4]);
+    expect(subtrees.get(3)).toEqual([3, 4]);
+    expect(subtrees.get(5)).toEqual([5]);
+  });
+
+  test('should show categories with a missing parent at the top', () => {
+    const tree = buildCategoryTree([{ id: 7, parentId: 99, allocatedAmount: 10, spentAmount: 0 }]);
+    expect(tree.map(category => category.id)).toEqual([7]);
+  });
+
+  test('should reject cycles and parents from other budgets', () => {
+    expect(findParentError(categories, 5, 1)).toBeNull();
+    expect(findParentError(categories, null, 4)).toBeNull();
+    expect(findParentError(categories, 1, 1)).toBe('A category cannot be nested under itself or one of its subcategories');
+    expect(findParentError(categories, 1, 4)).toBe('A category cannot be nested under itself or one of its subcategories');
+    expect(findParentError(categories, 2, 42)).toBe('Parent category must belong to the same budget');
+  });
+
+  test('should name the parent of each category', () => {
+    expect(parentNames(categories)).toEqual([null, 'Food', 'Food', 'Restaurants', null]);
+    expect(parentNames([{ name: 'Food' }, { name: 'Groceries', parent: 'Food' }])).toEqual([null, 'Food']);
+  });
+
+  test('should find the parent position of each category, even with repeated names', () => {
+    const withRepeats = [
+      { id: 1, name: 'Food', parentId: null },
+      { id: 2, name: 'Other', parentId: 1 },
+      { id: 3, name: 'Transport', parentId: null },
+      { id: 4, name: 'Other', parentId: 3 }
+    ];
+
+    expect(parentIndexes(withRepeats)).toEqual([null, 0, null, 2]);
+    expect(parentIndexes([{ name: 'Food' }, { name: 'Groceries', parent: 'Food' }])).toEqual([null, 0]);
+    expect(parentIndexes([{ name: 'Groceries', parent: 'Missing' }])).toEqual([null]);
+  });
+});
@@ -0,0 +1,103 @@
+const { detectRecurring, forecastPeriod } = require('../services/forecast');
+
+const period = (start, end) => ({ startDate: new Date(start), endDate: new Date(end) });
+const expense = (categoryId, amount, date, description) => ({ categoryId, amount, date, description, type: 'expense' });
+
+const history = [
+  {
+    ...period('2025-03-01T00:00:00Z', '2025-04-01T00:00:00Z'),
+    transactions: [
+      expense(1, '310', '2025-03-12T00:00:00Z', 'Groceries'),
+      expense(2, '1000', '2025-03-01T09:00:00Z', 'Rent ')
+    ]
+  },
+  {
+    ...period('2025-02-01T00:00:00Z', '2025-03-01T00:00:00Z'),
+    transactions: [
+      expense(1, '200', '2025-02-03T00:00:00Z', 'Market'),
+      expense(1, '80', '2025-02-20T00:00:00Z', 'Bakery'),
+      expense(2, '950', '2025-02-01T09:00:00Z', 'rent')
+    ]
+  }
+];
+
+describe('Forecast Tests', () => {
+  test('should detect expenses that show up in every earlier period', () => {
+    const recurring = detectRecurring(history);
+
+    expect([...recurring.keys()]).toEqual(['2:rent']);
+    expect(recurring.get('2:rent')).toEqual({ categoryId: 2, description: 'Rent', amount: 1000, dayOffset: 0 });
+    expect(detectRecurring(history.slice(0, 1)).size).toBe(0);
+  });
+
+  test('should project spending from burn rate, history and recurring expenses', () => {
+    const forecast = forecastPeriod({
+      period: period('2025-04-01T00:00:00Z', '2025-05-01T00:00:00Z'),
+      asOf: new Date('2025-04-11T00:00:00Z'),
+      categories: [
+        { id: 1, name: 'Groceries', available: 300 },
+        { id: 2, name: 'Rent', available: 1000 },
+        { id: 3, name: 'Fun', available: 50 }
+      ],
+      transactions: [
+        expense(1, '100', '2025-04-05T00:00:00Z', 'Market'),
+        expense(3, '60', '2025-04-02T00:00:00Z', 'Concert'),
+        expense(3, '500', '2025-04-20T00:00:00Z', 'Scheduled later')
+      ],
+      history,
+      openingBalance: 1350
+    });
+
+    const [groceries, rent, fun] = forecast.categories;
+
+    expect(groceries).toMatchObject({ spent: 100, burnRate: 10, historicalRate: 10, projectedSpend: 300 });
+    expect(groceries.expectedOverrun).toBe(false);
+
+    expect(rent.dailyRate).toBe(0);
+    expect(rent.upcomingRecurring).toEqual([
+      { description: 'Rent', amount: 1000, date: new Date('2025-04-11T00:00:00Z') }
+    ]);
+    expect(rent.projectedSpend).toBe(1000);
+
+    // Early in the period the (empty) history still outweighs the burn rate
+    expect(fun).toMatchObject({ spent: 60, burnRate: 6, historicalRate: 0, dailyRate: 2, projectedSpend: 100 });
+    expect(fun.expectedOverrun).toBe(true);
+    expect(fun.projectedRemaining).toBe(-50);
+
+    expect(forecast.projectedSpend).toBe(1400);
+    expect(forecast.projectedBalance).toBe(-50);
+  });
+
+  test('should chart actual then projected balance for every day', () => {
+    const forecast = forecastPeriod({
+      period: period('2025-04-01T00:00:00Z', '2025-05-01T00:00:00Z'),
+      asOf: new Date('2025-04-11T00:00:00Z'),
+      categories: [{ id: 1, name: 'Groceries', available: 300 }],
+      transactions: [expense(1, '100', '2025-04-05T00:00:00Z', 'Market')],
+      history: [],
+      openingBalance: 300
+    });
+
+    expect(forecast.series).toHaveLength(30);
+    expect(forecast.series[3]).toEqual({ date: '2025-04-04', spent: 0, balance: 300, projected: false });
+    expect(forecast.series[9]).toEqual({ date: '2025-04-10', spent: 100, balance: 200, projected: false });
+    expect(forecast.series[10]).toEqual({ date: '2025-04-11', spent: 110, balance: 190, projected: true });
+    expect(forecast.series[29]).toEqual({ date: '2025-04-30', spent: 300, balance: 0, projected: true });
+  });
+
+  test('should only report actual spending once the period is over', () => {
+    const forecast = forecastPeriod({
+      period: period('2025-04-01T00:00:00Z', '2025-04-08T00:00:00Z'),
+      asOf: new Date('2025-06-01T00:00:00Z'),
+      categories: [{ id: 1, name: 'Groceries', available: 50 }],
+      transactions: [expense(1, '70', '2025-04-05T00:00:00Z', 'Market')],
+      history,
+      openingBalance: 50
+    });
+
+    expect(forecast.asOf).toEqual(new Date('2025-04-08T00:00:00Z'));
+    expect(forecast.categories[0].projectedSpend).toBe(70);
+    expect(forecast.categories[0].expectedOverrun).toBe(true);
+    expect(forecast.series.every(day => !day.projected)).toBe(true);
+  });
+});
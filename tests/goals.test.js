@@ -0,0 +1,64 @@
+const { calculateProgress } = require('../services/goals');
+
+describe('Goal Progress Tests', () => {
+  const now = new Date('2025-01-15T00:00:00Z');
+
+  test('should add up contributions towards the target', () => {
+    const progress = calculateProgress({ targetAmount: '1000' }, [{ amount: '250.50' }, { amount: 99.5 }], now);
+
+    expect(progress).toEqual({
+      savedAmount: 350,
+      remainingAmount: 650,
+      percentComplete: 35,
+      completed: false,
+      monthsRemaining: null,
+      requiredMonthlyContribution: null,
+      overdue: false
+    });
+  });
+
+  test('should work out the monthly contribution needed by the target date', () => {
+    const progress = calculateProgress(
+      { targetAmount: 1200, targetDate: new Date('2025-07-15T00:00:00Z') },
+      [{ amount: 200 }],
+      now
+    );
+
+    expect(progress.monthsRemaining).toBe(6);
+    expect(progress.requiredMonthlyContribution).toBe(166.67);
+    expect(progress.overdue).toBe(false);
+  });
+
+  test('should count a partial month as a whole one', () => {
+    const progress = calculateProgress({ targetAmount: 300, targetDate: new Date('2025-01-20T00:00:00Z') }, [], now);
+
+    expect(progress.monthsRemaining).toBe(1);
+    expect(progress.requiredMonthlyContribution).toBe(300);
+  });
+
+  test('should mark goals past their target date as overdue', () => {
+    const progress = calculateProgress(
+      { targetAmount: 500, targetDate: new Date('2024-12-31T00:00:00Z') },
+      [{ amount: 100 }],
+      now
+    );
+
+    expect(progress.overdue).toBe(true);
+    expect(progress.monthsRemaining).toBe(0);
+    expect(progress.requiredMonthlyContribution).toBe(400);
+  });
+
+  test('should complete goals once the target is saved', () => {
+    const progress = calculateProgress(
+      { targetAmount: 500, targetDate: new Date('2024-12-31T00:00:00Z') },
+      [{ amount: 300 }, { amount: 250 }],
+      now
+    );
+
+    expect(progress.completed).toBe(true);
+    expect(progress.remainingAmount).toBe(0);
+    expect(progress.percentComplete).toBe(100);
+    expect(progress.overdue).toBe(false);
+    expect(progress.requiredMonthlyContribution).toBeNull();
+  });
+});
@@ -0,0 +1,261 @@
+const fastify = require('fastify');
+const { PrismaClient } = require('@prisma/client');
+
+// Use test database URL if available, otherwise use production (for local dev testing)
+const testDbUrl = process.env.TEST_DATABASE_URL || process.env.DATABASE_URL;
+if (testDbUrl) {
+  process.env.DATABASE_URL = testDbUrl;
+}
+
+// Create a Prisma client for direct DB access in tests
+const prisma = new PrismaClient();
+
+// Helper to create test app
+async function buildApp() {
+  const app = fastify({
+    logger: false
+  });
+
+  app.register(require('@fastify/jwt'), {
+    secret: 'test-secret'
+  });
+
+  app.register(require('../routes/auth'), { prefix: '/api' });
+  app.register(require('../routes/households'), { prefix: '/api' });
+  app.register(require('../routes/budgets'), { prefix: '/api' });
+
+  await app.ready();
+  return app;
+}
+
+describe('Household Integration Tests', () => {
+  let app;
+  let owner;
+  let partner;
+
+  async function register(email, name) {
+    const response = await app.inject({
+      method: 'POST',
+      url: '/api/auth/register',
+      payload: { email, password: 'password123', name }
+    });
+
+    expect(response.statusCode).toBe(201);
+    const data = JSON.parse(response.body).data;
+    return { id: data.user.id, headers: { 'Authorization': `Bearer ${data.token}` } };
+  }
+
+  async function listHouseholds(user) {
+    return JSON.parse((await app.inject({
+      method: 'GET',
+      url: '/api/households',
+      headers: user.headers
+    })).body).data;
+  }
+
+  async function listBudgets(user, householdId) {
+    const headers = householdId ? { ...user.headers, 'X-Household-Id': String(householdId) } : user.headers;
+    const response = await app.inject({ method: 'GET', url: '/api/budgets', headers });
+    return { statusCode: response.statusCode, budgets: JSON.parse(response.body).data };
+  }
+
+  // Owner invites the partner into a household through a connection and the partner accepts
+  async function join(householdId) {
+    const connection = await prisma.connection.create({
+      data: { userId: owner.id, name: 'Partner', email: 'partner@example.com' }
+    });
+
+    const inviteResponse = await app.inject({
+      method: 'POST',
+      url: `/api/households/${householdId}/members`,
+      headers: owner.headers,
+      payload: { connectionId: connection.id }
+    });
+    expect(inviteResponse.statusCode).toBe(201);
+
+    const acceptResponse = await app.inject({
+      method: 'POST',
+      url: `/api/households/${householdId}/accept`,
+      headers: partner.headers
+    });
+    expect(acceptResponse.statusCode).toBe(200);
+  }
+
+  beforeAll(async () => {
+    app = await buildApp();
+  });
+
+  afterAll(async () => {
+    if (app) {
+      await app.close();
+    }
+    await prisma.$disconnect();
+  });
+
+  beforeEach(async () => {
+    try {
+      await prisma.connection.deleteMany({});
+      await prisma.budget.deleteMany({});
+      await prisma.household.deleteMany({});
+      await prisma.user.deleteMany({});
+    } catch (error) {
+      // Ignore cleanup errors if database doesn't exist
+      console.warn('Cleanup warning:', error.message);
+    }
+
+    owner = await register('owner@example.com', 'Owner');
+    partner = await register('partner@example.com', 'Partner');
+  });
+
+  test('should give every new account a personal default household', async () => {
+    const households = await listHouseholds(owner);
+
+    expect(households).toHaveLength(1);
+    expect(households[0].role).toBe('owner');
+    expect(households[0].isDefault).toBe(true);
+  });
+
+  test('should scope budgets to the active household', async () => {
+    const created = JSON.parse((await app.inject({
+      method: 'POST',
+      url: '/api/households',
+      headers: owner.headers,
+      payload: { name: 'Family' }
+    })).body).data;
+
+    await app.inject({
+      method: 'POST',
+      url: '/api/budgets',
+      headers: { ...owner.headers, 'X-Household-Id': String(created.id) },
+      payload: { name: 'Groceries', amount: 800, period: 'monthly', startDate: '2025-11-01' }
+    });
+
+    expect((await listBudgets(owner, created.id)).budgets).toHaveLength(1);
+    expect((await listBudgets(owner)).budgets).toHaveLength(0);
+
+    // Not a member of the household
+    expect((await listBudgets(partner, created.id)).statusCode).toBe(404);
+
+    await join(created.id);
+
+    const { budgets } = await listBudgets(partner, created.id);
+    expect(budgets).toHaveLength(1);
+    expect(budgets[0].role).toBe('editor');
+  });
+
+  test('should adopt old budgets of a user who joined a household first', async () => {
+    // An account from before households: no household yet and a budget outside any household
+    await prisma.household.deleteMany({ where: { members: { some: { userId: partner.id } } } });
+    await prisma.budget.create({
+      data: {
+        userId: partner.id,
+        name: 'Old budget',
+        amount: 500,
+        period: 'monthly',
+        startDate: new Date('2025-01-01')
+      }
+    });
+
+    const [household] = await listHouseholds(owner);
+    await join(household.id);
+    await app.inject({
+      method: 'PUT',
+      url: `/api/households/${household.id}/default`,
+      headers: partner.headers
+    });
+
+    // Adopted on the next login, into a household of its own
+    const loginResponse = await app.inject({
+      method: 'POST',
+      url: '/api/auth/login',
+      payload: { email: 'partner@example.com', password: 'password123' }
+    });
+    expect(loginResponse.statusCode).toBe(200);
+
+    const households = await listHouseholds(partner);
+    expect(households).toHaveLength(2);
+
+    // The household the partner chose stays the default
+    expect(households.find(entry => entry.isDefault).id).toBe(household.id);
+
+    const personal = households.find(entry => entry.id !== household.id);
+    const { budgets } = await listBudgets(partner, personal.id);
+    expect(budgets.map(budget => budget.name)).toEqual(['Old budget']);
+  });
+
+  test('should keep household budgets when an owner deletes their account', async () => {
+    const [household] = await listHouseholds(owner);
+    await join(household.id);
+
+    await app.inject({
+      method: 'POST',
+      url: '/api/budgets',
+      headers: owner.headers,
+      payload: { name: 'Groceries', amount: 800, period: 'monthly', startDate: '2025-11-01' }
+    });
+
+    const deleteAccount = () => app.inject({
+      method: 'DELETE',
+      url: '/api/auth/me',
+      headers: owner.headers,
+      payload: { password: 'password123', confirm: 'DELETE' }
+    });
+
+    // The partner would be left in a household nobody can manage
+    expect((await deleteAccount()).statusCode).toBe(409);
+
+    const details = JSON.parse((await app.inject({
+      method: 'GET',
+      url: `/api/households/${household.id}`,
+      headers: owner.headers
+    })).body).data;
+    const partnerMember = details.members.find(member => member.user.id === partner.id);
+
+    await app.inject({
+      method: 'PATCH',
+      url: `/api/households/${household.id}/members/${partnerMember.id}`,
+      headers: owner.headers,
+      payload: { role: 'owner' }
+    });
+
+    expect((await deleteAccount()).statusCode).toBe(200);
+
+    const { budgets } = await listBudgets(partner, household.id);
+    expect(budgets.map(budget => budget.name)).toEqual(['Groceries']);
+    expect(budgets[0].userId).toBe(partner.id);
+  });
+
+  test('should keep at least one owner', async () => {
+    const [household] = await listHouseholds(owner);
+    const details = JSON.parse((await app.inject({
+      method: 'GET',
+      url: `/api/households/${household.id}`,
+      headers: owner.headers
+    })).body).data;
+
+    const response = await app.inject({
+      method: 'DELETE',
+      url: `/api/households/${household.id}/members/${details.members[0].id}`,
+      headers: owner.headers
+    });
+    expect(response.statusCode).toBe(400);
+  });
+
+  test('should not delete a household that still has budgets', async () => {
+    const [household] = await listHouseholds(owner);
+
+    await app.inject({
+      method: 'POST',
+      url: '/api/budgets',
+      headers: owner.headers,
+      payload: { name: 'Rent', amount: 1500, period: 'monthly', startDate: '2025-11-01' }
+    });
+
+    const response = await app.inject({
+      method: 'DELETE',
+      url: `/api/households/${household.id}`,
+      headers: owner.headers
+    });
+    expect(response.statusCode).toBe(409);
+  });
+});
@@ -0,0 +1,111 @@
+const config = require('../config');
+const { clearAllCache } = require('../middleware/cache-redis');
+const {
+  progressiveDelay,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockLogin,
+  loginProtection
+} = require('../middleware/login-protection');
+
+// Minimal reply double for preHandler tests
+function buildReply() {
+  return {
+    statusCode: 200,
+    headers: {},
+    payload: null,
+    code(statusCode) { this.statusCode = statusCode; return this; },
+    header(name, value) { this.headers[name] = value; return this; },
+    send(payload) { this.payload = payload; return this; }
+  };
+}
+
+describe('Login Protection Tests', () => {
+  const originalConfig = { ...config.loginProtection };
+
+  beforeEach(async () => {
+    await clearAllCache();
+    Object.assign(config.loginProtection, {
+      maxAccountFailures: 3,
+      maxIpFailures: 5,
+      baseDelayMs: 1,
+      maxDelayMs: 4
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.loginProtection, originalConfig);
+    await clearAllCache();
+  });
+
+  test('should double the delay per failure up to the cap', () => {
+    expect(progressiveDelay(0)).toBe(0);
+    expect(progressiveDelay(1)).toBe(1);
+    expect(progressiveDelay(2)).toBe(2);
+    expect(progressiveDelay(3)).toBe(4);
+    expect(progressiveDelay(10)).toBe(4);
+  });
+
+  test('should lock the account after too many failures', async () => {
+    await recordFailedLogin('user@example.com', '10.0.0.1');
+    await recordFailedLogin('user@example.com', '10.0.0.2');
+    expect(await getLockout('user@example.com', '10.0.0.3')).toBeNull();
+
+    const result = await recordFailedLogin('USER@example.com', '10.0.0.3');
+    expect(result.locked).toBe(true);
+
+    const lockout = await getLockout('user@example.com', '10.0.0.4');
+    expect(lockout.code).toBe('ACCOUNT_LOCKED');
+    expect(lockout.retryAfter).toBeGreaterThan(0);
+
+    // Other accounts are unaffected
+    expect(await getLockout('other@example.com', '10.0.0.4')).toBeNull();
+  });
+
+  test('should lock an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordFailedLogin(`user${i}@example.com`, '10.0.0.9');
+    }
+
+    const lockout = await getLockout('fresh@example.com', '10.0.0.9');
+    expect(lockout.code).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  test('should reset the failure count after a successful login', async () => {
+    await recordFailedLogin('user@example.com', '10.0.0.1');
+    await recordFailedLogin('user@example.com', '10.0.0.1');
+    await clearFailedLogins('user@example.com');
+
+    const result = await recordFailedLogin('user@example.com', '10.0.0.1');
+    expect(result.accountFailures).toBe(1);
+    expect(result.locked).toBe(false);
+  });
+
+  test('should lift a lockout on unlock', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordFailedLogin('user@example.com', '10.0.0.1');
+    }
+    expect(await getLockout('user@example.com')).not.toBeNull();
+
+    await unlockLogin({ email: 'user@example.com' });
+    expect(await getLockout('user@example.com')).toBeNull();
+  });
+
+  test('should reject locked logins in the preHandler', async () => {
+    for (let i = 0; i < 3; i++) {
+      await recordFailedLogin('user@example.com', '10.0.0.1');
+    }
+
+    const reply = buildReply();
+    await loginProtection({ body: { email: 'user@example.com' }, ip: '10.0.0.2' }, reply);
+
+    expect(reply.statusCode).toBe(429);
+    expect(reply.payload.code).toBe('ACCOUNT_LOCKED');
+    expect(reply.headers['Retry-After']).toBeGreaterThan(0);
+
+    const okReply = buildReply();
+    await loginProtection({ body: { email: 'other@example.com' }, ip: '10.0.0.2' }, okReply);
+    expect(okReply.payload).toBeNull();
+  });
+});
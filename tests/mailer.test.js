@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { registerTransport, sendMail, sendPasswordResetEmail } = require('../services/mailer');
+
+describe('Mailer Tests', () => {
+  const originalMailConfig = { ...config.mail };
+  let outboxDir;
+
+  beforeEach(() => {
+    outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beven-outbox-'));
+    config.mail.transport = 'outbox';
+    config.mail.outboxDir = outboxDir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+    Object.assign(config.mail, originalMailConfig);
+  });
+
+  test('should write messages to the outbox directory', async () => {
+    const message = await sendMail({
+      to: 'user@example.com',
+      subject: 'Hello',
+      text: 'Hi there'
+    });
+
+    const files = fs.readdirSync(outboxDir);
+    expect(files).toHaveLength(1);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf8'));
+    expect(stored.id).toBe(message.id);
+    expect(stored.to).toBe('user@example.com');
+    expect(stored.from).toBe(config.mail.from);
+    expect(stored.subject).toBe('Hello');
+  });
+
+  test('should include the reset link in password reset emails', async () => {
+    const message = await sendPasswordResetEmail(
+      { email: 'user@example.com', name: 'Test User' },
+      'abc123'
+    );
+
+    expect(message.text).toContain(`${config.app.url}/reset-password?token=abc123`);
+    expect(message.text).toContain('Test User');
+  });
+
+  test('should route messages through a registered transport', async () => {
+    const sent = [];
+    registerTransport('memory', { send: async (message) => { sent.push(message); } });
+    config.mail.transport = 'memory';
+
+    await sendMail({ to: 'user@example.com', subject: 'Hello', text: 'Hi there' });
+
+    expect(sent).toHaveLength(1);
+    expect(fs.readdirSync(outboxDir)).toHaveLength(0);
+  });
+
+  test('should reject unknown transports and invalid registrations', async () => {
+    config.mail.transport = 'carrier-pigeon';
+
+    await expect(sendMail({ to: 'user@example.com', subject: 'Hi', text: '' }))
+      .rejects.toThrow('Unknown mail transport: carrier-pigeon');
+    expect(() => registerTransport('broken', {})).toThrow();
+  });
+});
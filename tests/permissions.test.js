@@ -0,0 +1,32 @@
+const { PERMISSIONS, ROLES, getPermissions, hasPermission } = require('../middleware/permissions');
+
+describe('Permission Tests', () => {
+  test('should know the built-in roles', () => {
+    expect(ROLES).toEqual(expect.arrayContaining(['user', 'support', 'admin']));
+  });
+
+  test('should grant admins every permission', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission('admin', permission)).toBe(true);
+    });
+    expect(getPermissions('admin')).toEqual(Object.values(PERMISSIONS));
+  });
+
+  test('should let support staff view but not modify customer data', () => {
+    expect(hasPermission('support', PERMISSIONS.USERS_READ)).toBe(true);
+    expect(hasPermission('support', PERMISSIONS.BUDGETS_READ_ANY)).toBe(true);
+    expect(hasPermission('support', PERMISSIONS.USERS_WRITE)).toBe(false);
+    expect(hasPermission('support', PERMISSIONS.CACHE_FLUSH)).toBe(false);
+    expect(hasPermission('support', PERMISSIONS.USERS_IMPERSONATE)).toBe(false);
+  });
+
+  test('should grant regular users no admin permissions', () => {
+    expect(getPermissions('user')).toEqual([]);
+    expect(hasPermission('user', PERMISSIONS.USERS_READ)).toBe(false);
+  });
+
+  test('should treat unknown roles as having no permissions', () => {
+    expect(getPermissions('superhero')).toEqual([]);
+    expect(hasPermission(undefined, PERMISSIONS.USERS_READ)).toBe(false);
+  });
+});
@@ -53,8 +53,17 @@ describe('Server Tests', () => {
     // Register routes
     app.register(require('../routes/auth'), { prefix: '/api' });
     app.register(require('../routes/budgets'), { prefix: '/api' });
+    app.register(require('../routes/households'), { prefix: '/api' });
+    app.register(require('../routes/budget-members'), { prefix: '/api' });
+    app.register(require('../routes/budget-templates'), { prefix: '/api' });
     app.register(require('../routes/categories'), { prefix: '/api' });
+    app.register(require('../routes/category-library'), { prefix: '/api' });
     app.register(require('../routes/transactions'), { prefix: '/api' });
+    app.register(require('../routes/alert-rules'), { prefix: '/api' });
+    app.register(require('../routes/goals'), { prefix: '/api' });
+    app.register(require('../routes/notifications'), { prefix: '/api' });
+    app.register(require('../routes/admin'), { prefix: '/api' });
+    app.register(require('../routes/audit'), { prefix: '/api' });
 
     await app.ready();
     expect(app).toBeDefined();
@@ -0,0 +1,54 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+} = require('../services/totp');
+
+// RFC 6238 Appendix B test secret ("12345678901234567890" as base32)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Tests', () => {
+  test('should round-trip base32 encoding', () => {
+    const bytes = Buffer.from('hello totp');
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000), 8)).toBe('94287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000), 8)).toBe('07081804');
+    expect(generateCode(RFC_SECRET, timeStep(1234567890 * 1000), 8)).toBe('89005924');
+    expect(generateCode(RFC_SECRET, timeStep(20000000000 * 1000), 8)).toBe('65353130');
+  });
+
+  test('should accept codes within the drift window and reject others', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+    const step = timeStep(now);
+
+    expect(verifyCode(secret, generateCode(secret, step), { timeMs: now })).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, step - 1), { timeMs: now })).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, step - 3), { timeMs: now })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    const secret = generateSecret();
+
+    expect(verifyCode(secret, '')).toBeNull();
+    expect(verifyCode(secret, 'abcdef')).toBeNull();
+    expect(verifyCode(secret, '12345')).toBeNull();
+    expect(verifyCode(secret, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URL for authenticator apps', () => {
+    const url = buildOtpauthUrl('ABC', 'user@example.com');
+
+    expect(url.startsWith('otpauth://totp/Beven%3Auser%40example.com?')).toBe(true);
+    expect(url).toContain('secret=ABC');
+    expect(url).toContain('issuer=Beven');
+  });
+});
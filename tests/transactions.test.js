@@ -33,7 +33,10 @@ async function buildApp() {
   app.register(require('../routes/auth'), { prefix: '/api' });
   app.register(require('../routes/budgets'), { prefix: '/api' });
   app.register(require('../routes/categories'), { prefix: '/api' });
+  app.register(require('../routes/category-library'), { prefix: '/api' });
   app.register(require('../routes/transactions'), { prefix: '/api' });
+  app.register(require('../routes/audit'), { prefix: '/api' });
+  app.register(require('../routes/notifications'), { prefix: '/api' });
 
   await app.ready();
   return app;
@@ -61,6 +64,7 @@ describe('Transaction API Integration Tests', () => {
   beforeEach(async () => {
     // Clean up test data before each test
     try {
+      await prisma.notification.deleteMany({});
       await prisma.transaction.deleteMany({});
       await prisma.category.deleteMany({});
       await prisma.budget.deleteMany({});
@@ -293,5 +297,217 @@ describe('Transaction API Integration Tests', () => {
       expect(listBody.data[0].description).toBe('Dune 2');
     });
   });
-});
 
+  describe('Archived Budgets', () => {
+    test('should hide archived budgets and keep them read-only', async () => {
+      const headers = { 'Authorization': `Bearer ${authToken}` };
+
+      const archiveResponse = await app.inject({
+        method: 'POST',
+        url: `/api/budgets/${budgetId}/archive`,
+        headers
+      });
+      expect(archiveResponse.statusCode).toBe(200);
+
+      const listed = JSON.parse((await app.inject({ method: 'GET', url: '/api/budgets', headers })).body).data;
+      expect(listed).toHaveLength(0);
+
+      const withArchived = JSON.parse((await app.inject({
+        method: 'GET',
+        url: '/api/budgets?includeArchived=true',
+        headers
+      })).body).data;
+      expect(withArchived).toHaveLength(1);
+
+      const createResponse = await app.inject({
+        method: 'POST',
+        url: '/api/transactions',
+        headers,
+        payload: { budgetId, categoryId, amount: 9.99, description: 'Popcorn' }
+      });
+      expect(createResponse.statusCode).toBe(409);
+
+      // Still available for reports
+      const summaryResponse = await app.inject({
+        method: 'GET',
+        url: `/api/budgets/${budgetId}/summary`,
+        headers
+      });
+      expect(summaryResponse.statusCode).toBe(200);
+
+      const unarchiveResponse = await app.inject({
+        method: 'POST',
+        url: `/api/budgets/${budgetId}/unarchive`,
+        headers
+      });
+      expect(unarchiveResponse.statusCode).toBe(200);
+    });
+  });
+
+  describe('Period Comparison', () => {
+    test('should compare category spending with the previous period', async () => {
+      const headers = { 'Authorization': `Bearer ${authToken}` };
+
+      for (const [amount, date] of [[40, '2025-11-10'], [50, '2025-12-05'], [10, '2025-12-20']]) {
+        const response = await app.inject({
+          method: 'POST',
+          url: '/api/transactions',
+          headers,
+          payload: { budgetId, categoryId, amount, date, description: 'Cinema' }
+        });
+        expect(response.statusCode).toBe(201);
+      }
+
+      const response = await app.inject({
+        method: 'GET',
+        url: `/api/budgets/${budgetId}/compare?period=1`,
+        headers
+      });
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      expect(body.data.period.index).toBe(1);
+      expect(body.data.categories[0]).toMatchObject({
+        categoryId,
+        allocated: 100,
+        spent: 60,
+        percentOfAllocated: 60
+      });
+      expect(body.data.categories[0].previous).toEqual([
+        { index: 0, spent: 40, percentOfAllocated: 40, change: 20, changePercent: 50 }
+      ]);
+      expect(body.data.totals.spent).toBe(60);
+    });
+  });
+
+  describe('Category Library', () => {
+    test('should report spending of a library category across budgets', async () => {
+      const headers = { 'Authorization': `Bearer ${authToken}` };
+
+      const libraryResponse = await app.inject({
+        method: 'POST',
+        url: '/api/category-library',
+        headers,
+        payload: { name: 'movies', color: '#ff9800' }
+      });
+      expect(libraryResponse.statusCode).toBe(201);
+      const libraryCategoryId = JSON.parse(libraryResponse.body).data.id;
+
+      const linkResponse = await app.inject({
+        method: 'POST',
+        url: '/api/category-library/link-existing',
+        headers
+      });
+      expect(JSON.parse(linkResponse.body).data.linked).toBe(1);
+
+      const budgetResponse = await app.inject({
+        method: 'POST',
+        url: '/api/budgets',
+        headers,
+        payload: { name: 'Holiday', amount: 500, period: 'monthly', startDate: '2025-11-01' }
+      });
+      const otherBudgetId = JSON.parse(budgetResponse.body).data.id;
+
+      const categoryResponse = await app.inject({
+        method: 'POST',
+        url: `/api/budgets/${otherBudgetId}/categories`,
+        headers,
+        payload: { libraryCategoryId, allocatedAmount: 50 }
+      });
+      expect(categoryResponse.statusCode).toBe(201);
+      const otherCategory = JSON.parse(categoryResponse.body).data;
+      expect(otherCategory.name).toBe('movies');
+
+      for (const [budget, category, amount] of [[budgetId, categoryId, 12], [otherBudgetId, otherCategory.id, 30]]) {
+        const response = await app.inject({
+          method: 'POST',
+          url: '/api/transactions',
+          headers,
+          payload: { budgetId: budget, categoryId: category, amount, date: '2025-11-15', description: 'Cinema' }
+        });
+        expect(response.statusCode).toBe(201);
+      }
+
+      const spendingResponse = await app.inject({
+        method: 'GET',
+        url: '/api/category-library/spending?from=2025-11-01&to=2025-11-30',
+        headers
+      });
+
+      const body = JSON.parse(spendingResponse.body);
+      expect(body.data).toHaveLength(1);
+      expect(body.data[0]).toMatchObject({ id: libraryCategoryId, name: 'movies', color: '#ff9800', spent: 42 });
+      expect(body.data[0].budgets).toHaveLength(2);
+    });
+  });
+
+  describe('Budget Alerts', () => {
+    test('should notify once per period when a category reaches 80%', async () => {
+      const headers = { 'Authorization': `Bearer ${authToken}` };
+
+      for (const amount of [85, 1]) {
+        const response = await app.inject({
+          method: 'POST',
+          url: '/api/transactions',
+          headers,
+          payload: { budgetId, categoryId, amount, description: 'Cinema' }
+        });
+        expect(response.statusCode).toBe(201);
+      }
+
+      const notificationsResponse = await app.inject({
+        method: 'GET',
+        url: '/api/notifications',
+        headers
+      });
+
+      const body = JSON.parse(notificationsResponse.body);
+      expect(body.data).toHaveLength(1);
+      expect(body.data[0].data.thresholdPercent).toBe(80);
+      expect(body.unreadCount).toBe(1);
+    });
+  });
+
+  describe('Audit Log', () => {
+    test('should record the changed fields of a transaction update', async () => {
+      const headers = { 'Authorization': `Bearer ${authToken}` };
+
+      const createResponse = await app.inject({
+        method: 'POST',
+        url: '/api/transactions',
+        headers,
+        payload: {
+          budgetId: budgetId,
+          categoryId: categoryId,
+          amount: 14.99,
+          description: 'Dune 2',
+          type: 'expense'
+        }
+      });
+      const transactionId = JSON.parse(createResponse.body).data.id;
+
+      const updateResponse = await app.inject({
+        method: 'PUT',
+        url: `/api/transactions/${transactionId}`,
+        headers,
+        payload: { amount: 19.99, description: 'Dune 2' }
+      });
+      expect(updateResponse.statusCode).toBe(200);
+
+      const auditResponse = await app.inject({
+        method: 'GET',
+        url: '/api/audit?entityType=transaction',
+        headers
+      });
+
+      expect(auditResponse.statusCode).toBe(200);
+      const entries = JSON.parse(auditResponse.body).data;
+      expect(entries.map(entry => entry.action)).toEqual(['transaction.update', 'transaction.create']);
+      expect(entries[0].entityId).toBe(transactionId);
+      expect(entries[0].actorId).toBe(userId);
+      expect(entries[0].before).toEqual({ amount: '14.99' });
+      expect(entries[0].after).toEqual({ amount: '19.99' });
+      expect(entries[0].requestId).toBeTruthy();
+    });
+  });
+});